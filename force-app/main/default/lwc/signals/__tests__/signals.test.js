@@ -4,8 +4,68 @@ import {
   effect,
   untracked,
   batch,
+  resource,
+  persistedSignal,
+  syncSignal,
+  wireSignal,
+  query,
+  invalidate,
+  optimistic,
+  history,
+  applyPatches,
+  shallowSignal,
+  markRaw,
+  toRaw,
+  store,
+  reactive,
+  signalArray,
+  signalMap,
+  signalSet,
+  createSelector,
+  shallowEqual,
+  deepEqual,
+  onError,
+  configure,
+  flush,
+  effectScope,
   WithSignals,
 } from "c/signals";
+import { createLdsTestWireAdapter } from "@salesforce/wire-service-jest-util";
+import getAccounts from "@salesforce/apex/AccountController.getAccounts";
+
+jest.mock(
+  "@salesforce/apex/AccountController.getAccounts",
+  () => ({ default: jest.fn() }),
+  { virtual: true },
+);
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+
+  return { promise, resolve, reject };
+};
+
+// Runs a full garbage collection and returns how many of the referenced
+// objects are still alive.
+const countRetained = async (refs) => {
+  require("v8").setFlagsFromString("--expose-gc");
+  jest.useRealTimers();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  require("vm").runInNewContext("gc")();
+
+  return refs.filter((ref) => ref.deref() != null).length;
+};
 
 beforeEach(() => {
   jest.useFakeTimers();
@@ -170,296 +230,4531 @@ describe("Effect", () => {
   });
 });
 
-describe("Batch Operations", () => {
-  test("should batch multiple signal updates", () => {
-    const count = signal(0);
-    const mockSubscriber = jest.fn();
-    count.subscribe(mockSubscriber);
+describe("Dynamic Dependency Tracking", () => {
+  test("should drop dependencies an effect stopped reading", () => {
+    const flag = signal(true);
+    const a = signal("a");
+    const b = signal("b");
+    const mockEffect = jest.fn();
 
-    batch(() => {
-      count.value = 1;
-      count.value = 2;
-      count.value = 3;
+    effect(() => {
+      mockEffect(flag.value ? a.value : b.value);
     });
 
-    jest.runAllTimers();
-
-    expect(mockSubscriber).toHaveBeenCalledTimes(1);
-    expect(count.value).toBe(3);
-  });
+    expect(mockEffect).toHaveBeenLastCalledWith("a");
 
-  test("should handle nested batch operations", () => {
-    const count = signal(0);
-    const mockSubscriber = jest.fn();
-    count.subscribe(mockSubscriber);
+    flag.value = false;
+    jest.runAllTimers();
 
-    batch(() => {
-      count.value = 1;
+    expect(mockEffect).toHaveBeenLastCalledWith("b");
+    expect(mockEffect).toHaveBeenCalledTimes(2);
 
-      batch(() => {
-        count.value = 2;
-        count.value = 3;
-      });
+    a.value = "a2"; // No longer read by the effect
+    jest.runAllTimers();
 
-      count.value = 4;
-    });
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(a.subscribers.size).toBe(0);
 
+    b.value = "b2";
     jest.runAllTimers();
 
-    expect(mockSubscriber).toHaveBeenCalledTimes(1);
-    expect(count.value).toBe(4);
+    expect(mockEffect).toHaveBeenLastCalledWith("b2");
+    expect(mockEffect).toHaveBeenCalledTimes(3);
   });
-});
 
-describe("Untracked Operations", () => {
-  test("should not track signal access in untracked scope", () => {
-    const count = signal(0);
+  test("should track dependencies first read on a re-run", () => {
+    const flag = signal(false);
+    const a = signal("a");
     const mockEffect = jest.fn();
 
     effect(() => {
-      mockEffect(untracked(() => count.value));
+      mockEffect(flag.value ? a.value : null);
     });
 
-    count.value = 1;
+    flag.value = true;
     jest.runAllTimers();
 
-    expect(mockEffect).toHaveBeenCalledTimes(1);
-  });
-});
-
-describe("Signal Edge Cases", () => {
-  test("should handle undefined and null values", () => {
-    const value = signal(undefined);
-    expect(value.peek()).toBe(undefined);
-
-    value.value = null;
+    a.value = "a2";
     jest.runAllTimers();
 
-    expect(value.peek()).toBe(null);
+    expect(mockEffect).toHaveBeenLastCalledWith("a2");
+    expect(mockEffect).toHaveBeenCalledTimes(3);
   });
 
-  test("should handle multiple subscriptions and unsubscriptions", () => {
-    const count = signal(0);
-    const mock1 = jest.fn();
-    const mock2 = jest.fn();
-    const mock3 = jest.fn();
+  test("should drop dependencies a computed stopped reading", () => {
+    const flag = signal(true);
+    const a = signal(1);
+    const b = signal(2);
+    const result = computed(() => (flag.value ? a.value : b.value));
 
-    const unsub1 = count.subscribe(mock1);
-    const unsub2 = count.subscribe(mock2);
-    count.subscribe(mock3);
+    expect(result.value).toBe(1);
 
-    count.value = 1;
+    flag.value = false;
     jest.runAllTimers();
 
-    expect(mock1).toHaveBeenCalledTimes(1);
-    expect(mock2).toHaveBeenCalledTimes(1);
-    expect(mock3).toHaveBeenCalledTimes(1);
-
-    unsub1();
+    expect(result.value).toBe(2);
+    expect(a.subscribers.size).toBe(0);
 
-    count.value = 2;
+    b.value = 3;
     jest.runAllTimers();
 
-    expect(mock1).toHaveBeenCalledTimes(1);
-    expect(mock2).toHaveBeenCalledTimes(2);
-    expect(mock3).toHaveBeenCalledTimes(2);
+    expect(result.value).toBe(3);
+  });
 
-    unsub2();
+  test("should drop dependencies a component stopped rendering", () => {
+    const flag = signal(true);
+    const a = signal("a");
+    const b = signal("b");
 
-    count.value = 3;
+    class MockLightningComponent {
+      renderedCallback() {}
+      render() {}
+    }
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      get message() {
+        return flag.value ? a.value : b.value;
+      }
+    }
+
+    const instance = new MockComponent();
+
+    instance.render();
+    expect(instance.message).toBe("a");
+    instance.renderedCallback();
+
+    flag.value = false;
     jest.runAllTimers();
 
-    expect(mock1).toHaveBeenCalledTimes(1);
-    expect(mock2).toHaveBeenCalledTimes(2);
-    expect(mock3).toHaveBeenCalledTimes(3);
+    instance.render();
+    expect(instance.message).toBe("b");
+    instance.renderedCallback();
+
+    expect(instance.__effectInstance._dependencies.has(a)).toBe(false);
+    expect(a.subscribers.size).toBe(0);
+    expect(b.subscribers.size).toBe(1);
   });
 });
 
-describe("ComputedSignal Extended", () => {
-  test("should handle computed chain reactions", () => {
-    const base = signal(1);
-    const doubled = computed(() => base.value * 2);
-    const quadrupled = computed(() => doubled.value * 2);
-    const final = computed(() => quadrupled.value + 1);
+describe("Glitch-free Propagation", () => {
+  test("should run a diamond-shaped computed only once per change", () => {
+    const a = signal(1);
+    const b = computed(() => a.value * 2);
+    const c = computed(() => a.value * 3);
+    const computation = jest.fn(() => b.value + c.value);
+    const d = computed(computation);
+    const mockEffect = jest.fn();
 
-    const mockSubscriber = jest.fn();
-    final.subscribe(mockSubscriber);
+    effect(() => {
+      mockEffect(d.value);
+    });
 
-    expect(final.value).toBe(5);
+    expect(computation).toHaveBeenCalledTimes(1);
+    expect(mockEffect).toHaveBeenCalledTimes(1);
 
-    base.value = 2;
+    a.value = 2;
     jest.runAllTimers();
 
-    expect(final.value).toBe(9);
-    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+    expect(computation).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(10);
   });
 
-  test("should handle circular dependencies gracefully", () => {
+  test("should never expose inconsistent intermediate values", () => {
     const a = signal(1);
     const b = computed(() => a.value + 1);
-    const c = computed(() => b.value + 1);
+    const c = computed(() => a.value + 2);
+    const observed = [];
 
-    a.value = c.value; // This should work without infinite loops
+    effect(() => {
+      observed.push([a.value, b.value, c.value]);
+    });
+
+    a.value = 10;
     jest.runAllTimers();
 
-    expect(a.value).toBe(3);
+    expect(observed).toEqual([
+      [1, 2, 3],
+      [10, 11, 12],
+    ]);
   });
-});
-
-describe("Effect Cleanup", () => {
-  test("should handle multiple cleanup functions", () => {
-    const count = signal(0);
-    const mockCleanup1 = jest.fn();
-    const mockCleanup2 = jest.fn();
-
-    let cleanup2 = mockCleanup2;
-
-    const dispose = effect(() => {
-      expect(count.value).not.toBe(undefined);
 
-      cleanup2 = mockCleanup2;
+  test("should not run effects when a computed value did not change", () => {
+    const count = signal(1);
+    const isEven = computed(() => count.value % 2 === 0);
+    const mockEffect = jest.fn();
 
-      return () => {
-        mockCleanup1();
-        cleanup2();
-      };
+    effect(() => {
+      mockEffect(isEven.value);
     });
 
-    count.value = 1;
+    count.value = 3;
     jest.runAllTimers();
 
-    expect(mockCleanup1).toHaveBeenCalledTimes(1);
-    expect(mockCleanup2).toHaveBeenCalledTimes(1);
+    expect(mockEffect).toHaveBeenCalledTimes(1);
 
-    dispose();
-    expect(mockCleanup1).toHaveBeenCalledTimes(2);
-    expect(mockCleanup2).toHaveBeenCalledTimes(2);
+    count.value = 4;
+    jest.runAllTimers();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(true);
   });
-});
 
-describe("WithSignals", () => {
-  const originalCrypto = global.crypto;
+  test("should run an effect once for several writes in a batch", () => {
+    const firstName = signal("John");
+    const lastName = signal("Doe");
+    const mockEffect = jest.fn();
 
-  beforeEach(() => {
-    Object.defineProperty(global, "crypto", {
-      value: { randomUUID: () => "test-uuid" },
-      writable: true,
+    effect(() => {
+      mockEffect(`${firstName.value} ${lastName.value}`);
     });
-  });
 
-  afterEach(() => {
-    Object.defineProperty(global, "crypto", {
-      value: originalCrypto,
-      writable: true,
+    batch(() => {
+      firstName.value = "Jane";
+      lastName.value = "Smith";
     });
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith("Jane Smith");
   });
 
-  const counter = signal(0);
+  test("should run effects triggered by other effects after they finish", () => {
+    const source = signal(1);
+    const derived = signal(0);
+    const observed = [];
 
-  class MockLightningComponent {
-    isConnected = true;
-    renderedCallback() {}
-    render() {}
-  }
+    effect(() => {
+      derived.value = source.value * 2;
+    });
 
-  class MockComponent extends WithSignals(MockLightningComponent) {
-    counter = counter;
-    createConnectedCallbackEffect;
+    effect(() => {
+      observed.push(derived.value);
+    });
 
-    connectedCallback() {
-      this.createConnectedCallbackEffect?.();
-    }
-  }
+    source.value = 2;
+    jest.runAllTimers();
 
-  test("should handle signal updates in component lifecycle", () => {
-    const instance = new MockComponent();
-    const mockRender = jest.spyOn(instance, "render");
-    const mockRenderedCallback = jest.spyOn(instance, "renderedCallback");
+    expect(observed).toEqual([2, 4]);
+  });
+});
 
-    instance.render();
+describe("Lazy Computed", () => {
+  test("should not evaluate until first read", () => {
+    const count = signal(1);
+    const computation = jest.fn(() => count.value * 2);
+    const doubled = computed(computation);
 
-    expect(instance.counter.value).toBe(0);
+    expect(computation).not.toHaveBeenCalled();
 
-    jest.runAllTimers();
+    expect(doubled.peek()).toBe(2);
+    expect(computation).toHaveBeenCalledTimes(1);
+  });
 
-    instance.renderedCallback();
+  test("should reuse the cached value while nothing changed", () => {
+    const count = signal(1);
+    const computation = jest.fn(() => count.value * 2);
+    const doubled = computed(computation);
 
-    expect(mockRender).toHaveBeenCalledTimes(1);
-    expect(instance.__updateTimestamp).toBeDefined();
-    expect(instance.__previousUpdateTimestamp).toBeDefined();
-    expect(mockRenderedCallback).toHaveBeenCalledTimes(1);
+    expect(doubled.value).toBe(2);
+    expect(doubled.value).toBe(2);
+    expect(computation).toHaveBeenCalledTimes(1);
 
-    counter.value = 1;
+    count.value = 2;
     jest.runAllTimers();
 
-    instance.render();
-
-    jest.runAllTimers();
+    expect(computation).toHaveBeenCalledTimes(1);
+    expect(doubled.value).toBe(4);
+    expect(computation).toHaveBeenCalledTimes(2);
+  });
 
-    expect(instance.counter.value).toBe(1);
+  test("should not subscribe to dependencies while unobserved", () => {
+    const count = signal(1);
+    const doubled = computed(() => count.value * 2);
 
-    instance.renderedCallback();
+    expect(doubled.value).toBe(2);
+    expect(count.subscribers.size).toBe(0);
+  });
 
-    expect(mockRender).toHaveBeenCalledTimes(2);
-    expect(instance.__updateTimestamp).toBeDefined();
-    expect(
-      instance.__previousUpdateTimestamp === undefined ||
-        instance.__previousUpdateTimestamp === instance.__updateTimestamp
-    ).toBeTruthy();
-    expect(mockRenderedCallback).toHaveBeenCalledTimes(2);
+  test("should release dependencies once the last subscriber is gone", () => {
+    const count = signal(1);
+    const doubled = computed(() => count.value * 2);
+    const quadrupled = computed(() => doubled.value * 2);
 
-    counter.value = 2;
-    jest.runAllTimers();
+    const dispose = effect(() => {
+      quadrupled.value;
+    });
+    const unsubscribe = quadrupled.subscribe(() => {});
 
-    instance.render();
+    expect(count.subscribers.size).toBe(1);
+    expect(doubled.subscribers.size).toBe(1);
 
-    expect(instance.counter.value).toBe(2);
+    dispose();
 
-    jest.runAllTimers();
+    expect(count.subscribers.size).toBe(1);
 
-    instance.renderedCallback();
+    unsubscribe();
 
-    expect(mockRender).toHaveBeenCalled();
-    expect(instance.__updateTimestamp).toBeDefined();
-    expect(instance.__previousUpdateTimestamp).toBeDefined();
-    expect(mockRenderedCallback).toHaveBeenCalledTimes(3);
+    expect(count.subscribers.size).toBe(0);
+    expect(doubled.subscribers.size).toBe(0);
+    expect(quadrupled.subscribers.size).toBe(0);
   });
 
-  test("should cleanup disconnected components", () => {
-    const instance = new MockComponent();
-    const testSignal = signal("test");
+  test("should stay up to date after being observed again", () => {
+    const count = signal(1);
+    const doubled = computed(() => count.value * 2);
+    const mockEffect = jest.fn();
 
-    instance.render();
-    expect(testSignal.value).toBe("test");
+    const dispose = effect(() => {
+      doubled.value;
+    });
 
-    instance.disconnectedCallback();
+    dispose();
 
-    testSignal.value = "updated";
+    count.value = 5;
     jest.runAllTimers();
 
-    // Component should be removed from signal's tracking
-    expect(instance.__effectInstance).toBeDefined();
-    expect(instance.__effectInstance._dependencies?.size).toBe(0);
-    expect(instance.__effectInstance._dependencyDisposes?.size).toBe(0);
-  });
-
-  test("should handle cleanup effects correctly", () => {
-    const mockCleanup = jest.fn();
+    effect(() => {
+      mockEffect(doubled.value);
+    });
 
-    const instance = new MockComponent();
-    instance.createConnectedCallbackEffect = () => {
-      effect(() => {
-        return () => mockCleanup();
-      })
-    };
+    expect(mockEffect).toHaveBeenLastCalledWith(10);
 
-    instance.connectedCallback();
+    count.value = 6;
+    jest.runAllTimers();
+
+    expect(mockEffect).toHaveBeenLastCalledWith(12);
+  });
+});
+
+describe("Batch Operations", () => {
+  test("should batch multiple signal updates", () => {
+    const count = signal(0);
+    const mockSubscriber = jest.fn();
+    count.subscribe(mockSubscriber);
+
+    batch(() => {
+      count.value = 1;
+      count.value = 2;
+      count.value = 3;
+    });
+
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+    expect(count.value).toBe(3);
+  });
+
+  test("should handle nested batch operations", () => {
+    const count = signal(0);
+    const mockSubscriber = jest.fn();
+    count.subscribe(mockSubscriber);
+
+    batch(() => {
+      count.value = 1;
+
+      batch(() => {
+        count.value = 2;
+        count.value = 3;
+      });
+
+      count.value = 4;
+    });
+
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+    expect(count.value).toBe(4);
+  });
+});
+
+describe("Resource", () => {
+  test("should expose loading, value and status", async () => {
+    const request = deferred();
+    const account = resource(() => request.promise);
+
+    expect(account.loading).toBe(true);
+    expect(account.status).toBe("loading");
+    expect(account.value).toBe(undefined);
+
+    request.resolve({ Name: "Acme" });
+    await flushPromises();
+
+    expect(account.loading).toBe(false);
+    expect(account.status).toBe("success");
+    expect(account.value).toEqual({ Name: "Acme" });
+  });
+
+  test("should expose errors", async () => {
+    const error = new Error("Insufficient access");
+    const account = resource(() => Promise.reject(error));
+
+    await flushPromises();
+
+    expect(account.status).toBe("error");
+    expect(account.error).toBe(error);
+    expect(account.value).toBe(undefined);
+  });
+
+  test("should reload when a parameter signal changes", async () => {
+    const recordId = signal("001A");
+    const getAccount = jest.fn((params) => Promise.resolve(params.recordId));
+    const account = resource(() => getAccount({ recordId: recordId.value }));
+
+    await flushPromises();
+    expect(account.value).toBe("001A");
+
+    recordId.value = "001B";
+    expect(account.loading).toBe(true);
+
+    await flushPromises();
+    expect(account.value).toBe("001B");
+    expect(getAccount).toHaveBeenCalledTimes(2);
+  });
+
+  test("should ignore and abort stale requests", async () => {
+    const recordId = signal("001A");
+    const requests = {};
+    const abortSignals = {};
+    const account = resource(({ abortSignal }) => {
+      const id = recordId.value;
+
+      requests[id] = deferred();
+      abortSignals[id] = abortSignal;
+
+      return requests[id].promise;
+    });
+
+    recordId.value = "001B";
+
+    expect(abortSignals["001A"].aborted).toBe(true);
+
+    requests["001B"].resolve("new");
+    await flushPromises();
+
+    requests["001A"].resolve("old");
+    await flushPromises();
+
+    expect(account.value).toBe("new");
+    expect(account.status).toBe("success");
+  });
+
+  test("should refresh with the same parameters", async () => {
+    const loader = jest.fn(() => Promise.resolve(loader.mock.calls.length));
+    const counter = resource(loader);
+
+    await flushPromises();
+    expect(counter.value).toBe(1);
+
+    counter.refresh();
+    await flushPromises();
+
+    expect(counter.value).toBe(2);
+  });
+
+  test("should mutate the value locally", async () => {
+    const request = deferred();
+    const list = resource(() => request.promise, { initialValue: [] });
+
+    request.resolve(["a"]);
+    await flushPromises();
+
+    list.mutate((items) => [...items, "b"]);
+
+    expect(list.value).toEqual(["a", "b"]);
+    expect(list.status).toBe("success");
+  });
+
+  test("should notify effects reading the resource", async () => {
+    const request = deferred();
+    const account = resource(() => request.promise);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      mockEffect(account.loading, account.value);
+    });
+
+    request.resolve("Acme");
+    await flushPromises();
+
+    expect(mockEffect).toHaveBeenLastCalledWith(false, "Acme");
+  });
+
+  test("should ignore pending results once disposed", async () => {
+    const request = deferred();
+    const account = resource(() => request.promise);
+
+    account.dispose();
+    request.resolve("Acme");
+    await flushPromises();
+
+    expect(account.value).toBe(undefined);
+  });
+});
+
+describe("Persisted Signal", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should hydrate from storage on creation", () => {
+    localStorage.setItem(
+      "filters",
+      JSON.stringify({ version: 0, value: { status: "open" } }),
+    );
+
+    const filters = persistedSignal("filters", { status: "all" });
+
+    expect(filters.value).toEqual({ status: "open" });
+  });
+
+  test("should use the initial value when nothing is stored", () => {
+    const filters = persistedSignal("filters", { status: "all" });
+
+    expect(filters.value).toEqual({ status: "all" });
+    expect(localStorage.getItem("filters")).toBeNull();
+  });
+
+  test("should debounce writes", () => {
+    const counter = persistedSignal("counter", 0, { debounce: 50 });
+    const setItem = jest.spyOn(Storage.prototype, "setItem");
+
+    counter.value = 1;
+    counter.value = 2;
+    counter.value = 3;
+
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(50);
+
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem("counter"))).toEqual({
+      version: 0,
+      value: 3,
+    });
+  });
+
+  test("should persist deep mutations", () => {
+    const columns = persistedSignal("columns", { visible: ["Name"] });
+
+    columns.value.visible.push("Phone");
+    jest.runAllTimers();
+
+    expect(JSON.parse(localStorage.getItem("columns")).value).toEqual({
+      visible: ["Name", "Phone"],
+    });
+  });
+
+  test("should write immediately on persist()", () => {
+    const counter = persistedSignal("counter", 0);
+
+    counter.value = 5;
+    counter.persist();
+
+    expect(JSON.parse(localStorage.getItem("counter")).value).toBe(5);
+  });
+
+  test("should support a custom storage", () => {
+    const counter = persistedSignal("counter", 0, { storage: sessionStorage });
+
+    counter.value = 1;
+    jest.runAllTimers();
+
+    expect(sessionStorage.getItem("counter")).not.toBeNull();
+    expect(localStorage.getItem("counter")).toBeNull();
+  });
+
+  test("should support custom serialization", () => {
+    const serialize = ({ version, value }) => `${version}|${value}`;
+    const deserialize = (text) => {
+      const [version, value] = text.split("|");
+      return { version: Number(version), value };
+    };
+
+    localStorage.setItem("name", "0|Ada");
+
+    const name = persistedSignal("name", "", { serialize, deserialize });
+
+    expect(name.value).toBe("Ada");
+
+    name.value = "Grace";
+    jest.runAllTimers();
+
+    expect(localStorage.getItem("name")).toBe("0|Grace");
+  });
+
+  test("should migrate entries written with an older version", () => {
+    localStorage.setItem(
+      "columns",
+      JSON.stringify({ version: 1, value: ["Name", "Phone"] }),
+    );
+
+    const migrate = jest.fn((value) => ({ visible: value }));
+    const columns = persistedSignal(
+      "columns",
+      { visible: [] },
+      { version: 2, migrate },
+    );
+
+    expect(migrate).toHaveBeenCalledWith(["Name", "Phone"], 1);
+    expect(columns.value).toEqual({ visible: ["Name", "Phone"] });
+
+    jest.runAllTimers();
+
+    expect(JSON.parse(localStorage.getItem("columns"))).toEqual({
+      version: 2,
+      value: { visible: ["Name", "Phone"] },
+    });
+  });
+
+  test("should discard entries with another version when there is no migration", () => {
+    localStorage.setItem(
+      "columns",
+      JSON.stringify({ version: 1, value: ["Name"] }),
+    );
+
+    const columns = persistedSignal("columns", { visible: [] }, { version: 2 });
+
+    expect(columns.value).toEqual({ visible: [] });
+  });
+
+  test("should fall back to the initial value on corrupt entries", () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+
+    localStorage.setItem("filters", "{not json");
+
+    const filters = persistedSignal("filters", { status: "all" });
+
+    expect(filters.value).toEqual({ status: "all" });
+    expect(consoleError).toHaveBeenCalled();
+  });
+
+  test("should keep the in-memory value when the quota is exceeded", () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new Error("QuotaExceededError");
+    });
+
+    const counter = persistedSignal("counter", 0);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(counter.value);
+    });
+
+    counter.value = 1;
+    jest.runAllTimers();
+
+    expect(counter.value).toBe(1);
+    expect(spy).toHaveBeenLastCalledWith(1);
+    expect(consoleError).toHaveBeenCalled();
+  });
+
+  test("should behave as a regular signal without storage", () => {
+    const counter = persistedSignal("counter", 0, { storage: null });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(counter.value);
+    });
+
+    counter.value = 1;
+    jest.runAllTimers();
+
+    expect(spy).toHaveBeenLastCalledWith(1);
+    expect(localStorage.getItem("counter")).toBeNull();
+  });
+});
+
+describe("Signal Sync", () => {
+  const createChannelHub = () => {
+    const channels = new Set();
+
+    return () => {
+      const listeners = new Set();
+      const channel = {
+        postMessage: (data) => {
+          for (const other of channels) {
+            if (other !== channel) {
+              other.deliver(JSON.parse(JSON.stringify(data)));
+            }
+          }
+        },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        deliver: (data) => listeners.forEach((listener) => listener({ data })),
+      };
+
+      channels.add(channel);
+
+      return channel;
+    };
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("should apply changes from other tabs", () => {
+    const createChannel = createChannelHub();
+    const tabA = signal({ name: "Acme" });
+    const tabB = signal({ name: "Acme" });
+
+    syncSignal(tabA, "account", { channel: createChannel() });
+    syncSignal(tabB, "account", { channel: createChannel() });
+
+    tabA.value = { name: "Globex" };
+
+    expect(tabB.value).toEqual({ name: "Globex" });
+  });
+
+  test("should broadcast deep mutations", () => {
+    const createChannel = createChannelHub();
+    const tabA = signal({ tags: [] });
+    const tabB = signal({ tags: [] });
+
+    syncSignal(tabA, "record", { channel: createChannel() });
+    syncSignal(tabB, "record", { channel: createChannel() });
+
+    tabA.value.tags.push("vip");
+
+    expect(tabB.value.tags).toEqual(["vip"]);
+  });
+
+  test("should not echo incoming values back", () => {
+    const createChannel = createChannelHub();
+    const channelA = createChannel();
+    const channelB = createChannel();
+    const tabA = signal(0);
+    const tabB = signal(0);
+
+    syncSignal(tabA, "counter", { channel: channelA });
+    syncSignal(tabB, "counter", { channel: channelB });
+
+    const postMessage = jest.spyOn(channelB, "postMessage");
+
+    tabA.value = 1;
+
+    expect(tabB.value).toBe(1);
+    expect(postMessage).not.toHaveBeenCalled();
+  });
+
+  test("should resolve conflicts with the latest timestamp", () => {
+    const listeners = [];
+    const channel = {
+      postMessage: jest.fn(),
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: () => {},
+    };
+    const deliver = (data) =>
+      listeners.forEach((listener) => listener({ data }));
+    const counter = signal(0);
+
+    syncSignal(counter, "counter", { channel });
+
+    jest.setSystemTime(2000);
+    counter.value = 1;
+
+    deliver({ value: 2, timestamp: 1000, sourceId: "other" });
+    expect(counter.value).toBe(1);
+
+    deliver({ value: 3, timestamp: 3000, sourceId: "other" });
+    expect(counter.value).toBe(3);
+  });
+
+  test("should stop syncing once disposed", () => {
+    const createChannel = createChannelHub();
+    const tabA = signal(0);
+    const tabB = signal(0);
+
+    syncSignal(tabA, "counter", { channel: createChannel() });
+    const dispose = syncSignal(tabB, "counter", { channel: createChannel() });
+
+    dispose();
+    tabA.value = 1;
+
+    expect(tabB.value).toBe(0);
+  });
+
+  test("should fall back to storage events", () => {
+    const counter = signal(0);
+
+    syncSignal(counter, "counter");
+
+    counter.value = 1;
+
+    const message = JSON.parse(localStorage.getItem("signals_sync:counter"));
+    expect(message.value).toBe(1);
+
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: "signals_sync:counter",
+        newValue: JSON.stringify({
+          value: 5,
+          timestamp: message.timestamp + 1,
+          sourceId: "other",
+        }),
+      }),
+    );
+
+    expect(counter.value).toBe(5);
+  });
+
+  test("should ignore messages that are not sync messages", () => {
+    const listeners = [];
+    const channel = {
+      postMessage: jest.fn(),
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: () => {},
+    };
+    const deliver = (data) =>
+      listeners.forEach((listener) => listener({ data }));
+    const counter = signal(0);
+
+    syncSignal(counter, "counter", { channel });
+
+    expect(() => {
+      deliver(null);
+      deliver({ value: 1 });
+      deliver({ value: 2, timestamp: "later", sourceId: "other" });
+      deliver({ value: 3, timestamp: Date.now() + 1 });
+    }).not.toThrow();
+    expect(counter.value).toBe(0);
+  });
+
+  test("should ignore corrupt values in the storage fallback", () => {
+    const counter = signal(0);
+    const handleError = jest.fn();
+
+    syncSignal(counter, "counter");
+    window.addEventListener("error", handleError);
+
+    ["{not json", JSON.stringify("foreign")].forEach((newValue) => {
+      window.dispatchEvent(
+        new StorageEvent("storage", { key: "signals_sync:counter", newValue }),
+      );
+    });
+    window.removeEventListener("error", handleError);
+
+    expect(handleError).not.toHaveBeenCalled();
+    expect(counter.value).toBe(0);
+  });
+
+  test("should compose with persisted signals", () => {
+    const createChannel = createChannelHub();
+    const tabA = persistedSignal("filters", { status: "all" });
+    const tabB = persistedSignal("filters", { status: "all" });
+
+    syncSignal(tabA, "filters", { channel: createChannel() });
+    syncSignal(tabB, "filters", { channel: createChannel() });
+
+    tabA.value = { status: "open" };
+    jest.runAllTimers();
+
+    expect(tabB.value).toEqual({ status: "open" });
+    expect(JSON.parse(localStorage.getItem("filters")).value).toEqual({
+      status: "open",
+    });
+  });
+});
+
+describe("Query", () => {
+  let scope;
+
+  const createQuery = (...args) => scope.run(() => query(...args));
+
+  beforeEach(() => {
+    getAccounts.mockReset();
+    scope = effectScope();
+  });
+
+  afterEach(() => {
+    scope.stop();
+    jest.runAllTimers();
+  });
+
+  test("should load data for the current params", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    const accounts = createQuery(getAccounts, signal({ industry: "Energy" }));
+
+    expect(accounts.isFetching).toBe(true);
+    expect(getAccounts).toHaveBeenCalledWith({ industry: "Energy" });
+
+    await flushPromises();
+
+    expect(accounts.data).toEqual([{ Name: "Acme" }]);
+    expect(accounts.isFetching).toBe(false);
+  });
+
+  test("should deduplicate in-flight calls with the same params", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    const first = createQuery(
+      getAccounts,
+      signal({ industry: "Energy", limit: 5 }),
+    );
+    const second = createQuery(
+      getAccounts,
+      signal({ limit: 5, industry: "Energy" }),
+    );
+
+    await flushPromises();
+
+    expect(getAccounts).toHaveBeenCalledTimes(1);
+    expect(first.data).toEqual([{ Name: "Acme" }]);
+    expect(second.data).toBe(first.data);
+  });
+
+  test("should refetch when the params change", async () => {
+    getAccounts.mockImplementation(({ industry }) =>
+      Promise.resolve([{ Name: industry }]),
+    );
+
+    const industry = signal("Energy");
+    const accounts = createQuery(getAccounts, () => ({
+      industry: industry.value,
+    }));
+
+    await flushPromises();
+    industry.value = "Retail";
+    await flushPromises();
+
+    expect(getAccounts).toHaveBeenCalledTimes(2);
+    expect(accounts.data).toEqual([{ Name: "Retail" }]);
+  });
+
+  test("should not fetch while the params are nullish", async () => {
+    const recordId = signal(null);
+    const accounts = createQuery(getAccounts, () =>
+      recordId.value ? { recordId: recordId.value } : null,
+    );
+
+    await flushPromises();
+
+    expect(getAccounts).not.toHaveBeenCalled();
+    expect(accounts.data).toBeUndefined();
+  });
+
+  test("should serve fresh data from the cache", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    createQuery(getAccounts, signal({}), { staleTime: 1000 });
+    await flushPromises();
+
+    const cached = createQuery(getAccounts, signal({}), { staleTime: 1000 });
+
+    expect(cached.data).toEqual([{ Name: "Acme" }]);
+    expect(cached.isFetching).toBe(false);
+    expect(getAccounts).toHaveBeenCalledTimes(1);
+  });
+
+  test("should serve stale data while refetching in the background", async () => {
+    const request = deferred();
+    getAccounts
+      .mockResolvedValueOnce([{ Name: "Acme" }])
+      .mockReturnValueOnce(request.promise);
+
+    createQuery(getAccounts, signal({}), { staleTime: 1000 });
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+
+    const stale = createQuery(getAccounts, signal({}), { staleTime: 1000 });
+
+    expect(stale.data).toEqual([{ Name: "Acme" }]);
+    expect(stale.isFetching).toBe(true);
+
+    request.resolve([{ Name: "Acme Corp" }]);
+    await flushPromises();
+
+    expect(stale.data).toEqual([{ Name: "Acme Corp" }]);
+    expect(stale.isFetching).toBe(false);
+  });
+
+  test("should keep the data and expose the error when a refetch fails", async () => {
+    const error = new Error("Network error");
+    getAccounts
+      .mockResolvedValueOnce([{ Name: "Acme" }])
+      .mockRejectedValueOnce(error);
+
+    const accounts = createQuery(getAccounts, signal({}));
+    await flushPromises();
+
+    accounts.refetch();
+    await flushPromises();
+
+    expect(accounts.data).toEqual([{ Name: "Acme" }]);
+    expect(accounts.error).toBe(error);
+  });
+
+  test("should refetch observed entries when invalidated", async () => {
+    getAccounts
+      .mockResolvedValueOnce([{ Name: "Acme" }])
+      .mockResolvedValueOnce([{ Name: "Acme Corp" }]);
+
+    const accounts = createQuery(getAccounts, signal({ industry: "Energy" }), {
+      staleTime: Infinity,
+    });
+    await flushPromises();
+
+    invalidate(getAccounts);
+    await flushPromises();
+
+    expect(getAccounts).toHaveBeenCalledTimes(2);
+    expect(accounts.data).toEqual([{ Name: "Acme Corp" }]);
+  });
+
+  test("should invalidate entries by custom key and params", async () => {
+    getAccounts.mockResolvedValue([]);
+
+    createQuery(getAccounts, signal({ industry: "Energy" }), {
+      key: "accounts",
+    });
+    createQuery(getAccounts, signal({ industry: "Retail" }), {
+      key: "accounts",
+    });
+    await flushPromises();
+
+    invalidate("accounts", { industry: "Retail" });
+
+    expect(getAccounts).toHaveBeenCalledTimes(3);
+    expect(getAccounts).toHaveBeenLastCalledWith({ industry: "Retail" });
+  });
+
+  test("should notify effects when the data changes", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    const accounts = createQuery(getAccounts, signal({}));
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(accounts.isFetching, accounts.data);
+    });
+
+    await flushPromises();
+
+    expect(spy).toHaveBeenLastCalledWith(false, [{ Name: "Acme" }]);
+  });
+
+  test("should drop unobserved entries after the cache time", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    const accounts = createQuery(getAccounts, signal({}), {
+      staleTime: Infinity,
+      cacheTime: 1000,
+    });
+    await flushPromises();
+    accounts.dispose();
+
+    jest.advanceTimersByTime(500);
+    createQuery(getAccounts, signal({}), {
+      staleTime: Infinity,
+      cacheTime: 1000,
+    }).dispose();
+    expect(getAccounts).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    createQuery(getAccounts, signal({}), { staleTime: Infinity });
+    expect(getAccounts).toHaveBeenCalledTimes(2);
+  });
+
+  test("should key entries by the params they were created with", async () => {
+    getAccounts.mockResolvedValue([{ Name: "Acme" }]);
+
+    const params = signal({ industry: "Energy" });
+
+    createQuery(getAccounts, params, { staleTime: 60000, cacheTime: 1000 });
+    await flushPromises();
+
+    params.value.industry = "Tech";
+    await flushPromises();
+
+    expect(getAccounts).toHaveBeenCalledTimes(2);
+    expect(getAccounts.mock.calls[0][0]).toEqual({ industry: "Energy" });
+
+    jest.advanceTimersByTime(1000);
+    createQuery(getAccounts, signal({ industry: "Tech" }), {
+      staleTime: 60000,
+    });
+    expect(getAccounts).toHaveBeenCalledTimes(2);
+
+    createQuery(getAccounts, signal({ industry: "Energy" }), {
+      staleTime: 60000,
+    });
+    expect(getAccounts).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("Optimistic Updates", () => {
+  test("should apply the change immediately and keep it once committed", async () => {
+    const row = signal({ name: "Acme", status: "New" });
+    const commit = deferred();
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(row.value.status);
+    });
+
+    const result = optimistic(
+      row,
+      (draft) => {
+        draft.status = "Closed";
+      },
+      () => commit.promise,
+    );
+
+    expect(row.value.status).toBe("Closed");
+    expect(spy).toHaveBeenLastCalledWith("Closed");
+
+    commit.resolve("saved");
+
+    await expect(result).resolves.toBe("saved");
+    expect(row.value).toEqual({ name: "Acme", status: "Closed" });
+  });
+
+  test("should pass the updated value to the commit", async () => {
+    const count = signal(1);
+    const commit = jest.fn(() => Promise.resolve());
+
+    await optimistic(count, (value) => value + 1, commit);
+
+    expect(commit).toHaveBeenCalledWith(2);
+    expect(count.value).toBe(2);
+  });
+
+  test("should not queue a transaction whose mutator throws", async () => {
+    const items = signal(["a"]);
+    const commit = jest.fn();
+
+    expect(() =>
+      optimistic(
+        items,
+        (draft) => {
+          draft.push("b");
+          throw new Error("boom");
+        },
+        commit,
+      ),
+    ).toThrow("boom");
+
+    expect(commit).not.toHaveBeenCalled();
+    expect(items.value).toEqual(["a"]);
+
+    const result = optimistic(
+      items,
+      (draft) => {
+        draft.push("c");
+      },
+      () => Promise.reject(new Error("fail")),
+    );
+
+    await expect(result).rejects.toThrow("fail");
+    expect(items.value).toEqual(["a"]);
+
+    await optimistic(items, (draft) => [...draft, "d"], jest.fn());
+
+    expect(items.value).toEqual(["a", "d"]);
+  });
+
+  test("should roll back and notify when the commit fails", async () => {
+    const row = signal({ name: "Acme", tags: ["vip"] });
+    const error = new Error("Update failed");
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(row.value.name, row.value.tags.length);
+    });
+
+    const result = optimistic(
+      row,
+      (draft) => {
+        draft.name = "Globex";
+        draft.tags.push("new");
+      },
+      () => Promise.reject(error),
+    );
+
+    expect(spy).toHaveBeenLastCalledWith("Globex", 2);
+
+    await expect(result).rejects.toBe(error);
+
+    expect(row.value).toEqual({ name: "Acme", tags: ["vip"] });
+    expect(spy).toHaveBeenLastCalledWith("Acme", 1);
+  });
+
+  test("should roll back when the commit throws synchronously", async () => {
+    const count = signal(1);
+
+    const result = optimistic(
+      count,
+      (value) => value + 1,
+      () => {
+        throw new Error("Invalid");
+      },
+    );
+
+    await expect(result).rejects.toThrow("Invalid");
+    expect(count.value).toBe(1);
+  });
+
+  test("should rebase pending transactions when an earlier one fails", async () => {
+    const list = signal([]);
+    const first = deferred();
+    const second = deferred();
+
+    const firstResult = optimistic(
+      list,
+      (draft) => {
+        draft.push("a");
+      },
+      () => first.promise,
+    );
+    const secondResult = optimistic(
+      list,
+      (draft) => {
+        draft.push("b");
+      },
+      () => second.promise,
+    );
+
+    expect(list.value).toEqual(["a", "b"]);
+
+    first.reject(new Error("Failed"));
+    await expect(firstResult).rejects.toThrow("Failed");
+
+    expect(list.value).toEqual(["b"]);
+
+    second.resolve();
+    await secondResult;
+
+    expect(list.value).toEqual(["b"]);
+  });
+
+  test("should settle once an earlier transaction fails after a later one commits", async () => {
+    const counter = signal({ n: 0 });
+    const first = deferred();
+    const second = deferred();
+
+    const firstResult = optimistic(
+      counter,
+      (draft) => {
+        draft.n += 1;
+      },
+      () => first.promise,
+    );
+    const secondResult = optimistic(
+      counter,
+      (draft) => {
+        draft.n = 10;
+      },
+      () => second.promise,
+    );
+
+    second.resolve();
+    await secondResult;
+    first.reject(new Error("Failed"));
+    await expect(firstResult).rejects.toThrow("Failed");
+
+    expect(counter.value).toEqual({ n: 10 });
+
+    counter.value = { n: 100 };
+
+    await expect(
+      optimistic(
+        counter,
+        (draft) => {
+          draft.n += 1;
+        },
+        () => Promise.reject(new Error("Failed")),
+      ),
+    ).rejects.toThrow("Failed");
+
+    expect(counter.value).toEqual({ n: 100 });
+  });
+
+  test("should keep confirmed transactions when a later one fails", async () => {
+    const list = signal([]);
+    const first = deferred();
+    const second = deferred();
+    const third = deferred();
+    const append = (item) => (draft) => draft.concat(item);
+
+    const results = [
+      optimistic(list, append("a"), () => first.promise),
+      optimistic(list, append("b"), () => second.promise),
+      optimistic(list, append("c"), () => third.promise),
+    ];
+
+    expect(list.value).toEqual(["a", "b", "c"]);
+
+    second.resolve();
+    first.resolve();
+    await Promise.all(results.slice(0, 2));
+
+    third.reject(new Error("Failed"));
+    await expect(results[2]).rejects.toThrow("Failed");
+
+    expect(list.value).toEqual(["a", "b"]);
+  });
+});
+
+describe("History", () => {
+  test("should undo and redo changes", () => {
+    const name = signal("Draft");
+    const nameHistory = history(name);
+
+    name.value = "Quote";
+    name.value = "Quote v2";
+
+    nameHistory.undo();
+    expect(name.value).toBe("Quote");
+
+    nameHistory.undo();
+    expect(name.value).toBe("Draft");
+
+    nameHistory.redo();
+    expect(name.value).toBe("Quote");
+  });
+
+  test("should expose canUndo and canRedo as signals", () => {
+    const count = signal(0);
+    const countHistory = history(count);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(countHistory.canUndo.value, countHistory.canRedo.value);
+    });
+
+    expect(spy).toHaveBeenLastCalledWith(false, false);
+
+    count.value = 1;
+    expect(spy).toHaveBeenLastCalledWith(true, false);
+
+    countHistory.undo();
+    expect(spy).toHaveBeenLastCalledWith(false, true);
+  });
+
+  test("should record deep mutations", () => {
+    const lines = signal([{ product: "A", quantity: 1 }]);
+    const linesHistory = history(lines);
+
+    lines.value[0].quantity = 2;
+    lines.value.push({ product: "B", quantity: 1 });
+
+    linesHistory.undo();
+    expect(lines.value).toEqual([{ product: "A", quantity: 2 }]);
+
+    linesHistory.undo();
+    expect(lines.value).toEqual([{ product: "A", quantity: 1 }]);
+  });
+
+  test("should support Map and Set values", () => {
+    const prices = signal(new Map([["A", 10]]));
+    const tags = signal(new Set(["new"]));
+    const pricesHistory = history(prices);
+    const tagsHistory = history(tags);
+
+    prices.value.set("B", 20);
+    tags.value.add("vip");
+
+    pricesHistory.undo();
+    tagsHistory.undo();
+
+    expect(Array.from(prices.value)).toEqual([["A", 10]]);
+    expect(Array.from(tags.value)).toEqual(["new"]);
+  });
+
+  test("should group changes made inside a batch", () => {
+    const rule = signal({ field: "", operator: "" });
+    const ruleHistory = history(rule);
+
+    batch(() => {
+      rule.value.field = "Amount";
+      rule.value.operator = ">";
+    });
+
+    ruleHistory.undo();
+
+    expect(rule.value).toEqual({ field: "", operator: "" });
+    expect(ruleHistory.canUndo.value).toBe(false);
+  });
+
+  test("should group changes within the debounce time", () => {
+    const text = signal("");
+    const textHistory = history(text, { debounce: 300 });
+
+    text.value = "H";
+    text.value = "Hi";
+    jest.advanceTimersByTime(300);
+    text.value = "Hi!";
+
+    textHistory.undo();
+    expect(text.value).toBe("Hi");
+
+    textHistory.undo();
+    expect(text.value).toBe("");
+  });
+
+  test("should drop the oldest steps past the limit", () => {
+    const count = signal(0);
+    const countHistory = history(count, { limit: 2 });
+
+    count.value = 1;
+    count.value = 2;
+    count.value = 3;
+
+    countHistory.undo();
+    countHistory.undo();
+    countHistory.undo();
+
+    expect(count.value).toBe(1);
+  });
+
+  test("should discard the redo steps on a new change", () => {
+    const count = signal(0);
+    const countHistory = history(count);
+
+    count.value = 1;
+    countHistory.undo();
+    count.value = 2;
+
+    expect(countHistory.canRedo.value).toBe(false);
+
+    countHistory.undo();
+    expect(count.value).toBe(0);
+  });
+
+  test("should clear the history", () => {
+    const count = signal(0);
+    const countHistory = history(count);
+
+    count.value = 1;
+    count.value = 2;
+    countHistory.undo();
+    countHistory.clear();
+
+    expect(countHistory.canUndo.value).toBe(false);
+    expect(countHistory.canRedo.value).toBe(false);
+    expect(count.value).toBe(1);
+  });
+
+  test("should not be affected by mutations of the restored value", () => {
+    const config = signal({ columns: ["Name"] });
+    const configHistory = history(config);
+
+    config.value.columns.push("Phone");
+    configHistory.undo();
+    config.value.columns.push("Email");
+    configHistory.undo();
+
+    expect(config.value).toEqual({ columns: ["Name"] });
+  });
+});
+
+describe("Signal Update", () => {
+  test("should commit draft changes as a single notification", () => {
+    const quote = signal({ name: "Q-1", lines: [] });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(quote.value.name, quote.value.lines.length);
+    });
+
+    quote.update((draft) => {
+      draft.name = "Q-2";
+      draft.lines.push({ product: "A" });
+      draft.lines.push({ product: "B" });
+    });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenLastCalledWith("Q-2", 2);
+  });
+
+  test("should replace the value returned by the recipe", () => {
+    const count = signal(1);
+    const list = signal([1, 2, 3]);
+
+    count.update((value) => value + 1);
+    list.update((draft) => draft.filter((item) => item !== 2));
+
+    expect(count.value).toBe(2);
+    expect(list.value).toEqual([1, 3]);
+  });
+
+  test("should not notify when nothing changes", () => {
+    const user = signal({ name: "Ada" });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(user.value.name);
+    });
+
+    user.update((draft) => {
+      draft.name = "Ada";
+    });
+
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test("should revert the changes when the recipe throws", () => {
+    const user = signal({ name: "Ada", roles: ["admin"] });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(user.value.name);
+    });
+
+    expect(() =>
+      user.update((draft) => {
+        draft.name = "Grace";
+        draft.roles.push("user");
+        throw new Error("Invalid");
+      }),
+    ).toThrow("Invalid");
+
+    expect(user.value).toEqual({ name: "Ada", roles: ["admin"] });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test("should revert Map changes with their original keys and values", () => {
+    const item = { id: 1 };
+    const state = signal({ byId: new Map([[1, item]]), tags: new Set(["a"]) });
+
+    expect(() =>
+      state.update((draft) => {
+        draft.byId.set(1, { id: 2 });
+        draft.byId.set(2, { id: 3 });
+        draft.tags.add("b");
+        throw new Error("Invalid");
+      }),
+    ).toThrow("Invalid");
+
+    const byId = toRaw(state.value.byId);
+
+    expect(Array.from(byId.keys())).toEqual([1]);
+    expect(byId.get(1)).toBe(item);
+    expect(Array.from(toRaw(state.value.tags))).toEqual(["a"]);
+  });
+
+  test("should emit patches and inverse patches", () => {
+    const user = signal({ name: "Ada", nickname: "A", roles: ["admin"] });
+    const listener = jest.fn();
+
+    user.subscribe(listener, { patches: true });
+
+    user.update((draft) => {
+      draft.name = "Grace";
+      draft.email = "grace@example.com";
+      delete draft.nickname;
+      draft.roles.push("user");
+    });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    const [patches, inversePatches] = listener.mock.calls[0];
+
+    expect(patches).toEqual([
+      { op: "replace", path: "/name", value: "Grace" },
+      { op: "add", path: "/email", value: "grace@example.com" },
+      { op: "remove", path: "/nickname" },
+      { op: "add", path: "/roles/1", value: "user" },
+    ]);
+    expect(inversePatches).toEqual([
+      { op: "remove", path: "/roles/1" },
+      { op: "add", path: "/nickname", value: "A" },
+      { op: "remove", path: "/email" },
+      { op: "replace", path: "/name", value: "Ada" },
+    ]);
+  });
+
+  test("should emit a root replacement when the value is assigned", () => {
+    const count = signal(1);
+    const listener = jest.fn();
+
+    count.subscribe(listener, { patches: true });
+    count.value = 2;
+
+    expect(listener).toHaveBeenCalledWith(
+      [{ op: "replace", path: "", value: 2 }],
+      [{ op: "replace", path: "", value: 1 }],
+    );
+  });
+
+  test("should record changes made through array callbacks", () => {
+    const todos = signal([
+      { id: 1, done: false },
+      { id: 2, done: false },
+    ]);
+    const listener = jest.fn();
+
+    todos.subscribe(listener, { patches: true });
+    todos.update((draft) => {
+      draft.find((todo) => todo.id === 2).done = true;
+    });
+
+    expect(todos.value[1].done).toBe(true);
+    expect(listener.mock.calls[0][0]).toEqual([
+      { op: "replace", path: "/1/done", value: true },
+    ]);
+  });
+
+  test("should record Map and Set changes", () => {
+    const state = signal({ prices: new Map([["A", 10]]), tags: new Set() });
+    const listener = jest.fn();
+
+    state.subscribe(listener, { patches: true });
+    state.update((draft) => {
+      draft.prices.set("A", 12);
+      draft.prices.set("B", 20);
+      draft.tags.add("vip");
+    });
+
+    expect(listener.mock.calls[0][0]).toEqual([
+      { op: "replace", path: "/prices/A", value: 12 },
+      { op: "add", path: "/prices/B", value: 20 },
+      { op: "replace", path: "/tags", value: new Set(["vip"]) },
+    ]);
+  });
+
+  test("should escape property names in paths", () => {
+    const settings = signal({});
+    const listener = jest.fn();
+
+    settings.subscribe(listener, { patches: true });
+    settings.update((draft) => {
+      draft["a/b~c"] = 1;
+    });
+
+    expect(listener.mock.calls[0][0][0].path).toBe("/a~1b~0c");
+  });
+
+  test("should undo changes by applying the inverse patches", () => {
+    const quote = signal({ lines: ["A", "B", "C"], total: 3 });
+    const undoStack = [];
+
+    quote.subscribe((patches, inverse) => undoStack.push(inverse), {
+      patches: true,
+    });
+
+    const before = JSON.parse(JSON.stringify(quote.value));
+
+    quote.update((draft) => {
+      draft.lines.splice(1, 1);
+      draft.lines.unshift("Z");
+      draft.total = 3;
+      draft.discount = 10;
+    });
+
+    quote.update((draft) => applyPatches(draft, undoStack.pop()));
+
+    expect(quote.value).toEqual(before);
+  });
+
+  test("should keep patch values independent from later mutations", () => {
+    const user = signal({ address: null });
+    const listener = jest.fn();
+
+    user.subscribe(listener, { patches: true });
+    user.update((draft) => {
+      draft.address = { city: "Paris" };
+    });
+    user.value.address.city = "Rome";
+
+    expect(listener.mock.calls[0][0][0].value).toEqual({ city: "Paris" });
+  });
+});
+
+describe("Custom Equality", () => {
+  test("should not notify when a custom comparator reports equal values", () => {
+    const record = signal(
+      { Id: "001", Name: "Acme" },
+      { equals: shallowEqual },
+    );
+    const mockSubscriber = jest.fn();
+    record.subscribe(mockSubscriber);
+
+    record.value = { Id: "001", Name: "Acme" };
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(0);
+
+    record.value = { Id: "001", Name: "Acme Corp" };
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+    expect(record.value.Name).toBe("Acme Corp");
+  });
+
+  test("should compare nested values with deepEqual", () => {
+    const rows = signal([{ Id: "001", tags: ["a"] }], { equals: deepEqual });
+    const mockSubscriber = jest.fn();
+    rows.subscribe(mockSubscriber);
+
+    rows.value = [{ Id: "001", tags: ["a"] }];
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(0);
+
+    rows.value = [{ Id: "001", tags: ["a", "b"] }];
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+  });
+
+  test("should always notify with equals: false", () => {
+    const count = signal(1, { equals: false });
+    const mockSubscriber = jest.fn();
+    count.subscribe(mockSubscriber);
+
+    count.value = 1;
+    jest.runAllTimers();
+
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+  });
+
+  test("should skip downstream effects when a computed is equal", () => {
+    const firstName = signal("John");
+    const lastName = signal("Doe");
+    const person = computed(
+      () => ({ name: `${firstName.value} ${lastName.value}` }),
+      { equals: shallowEqual },
+    );
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      mockEffect(person.value.name);
+    });
+
+    batch(() => {
+      firstName.value = "Jane";
+      firstName.value = "John";
+    });
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    lastName.value = "Smith";
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith("John Smith");
+  });
+
+  test("should always propagate a computed with equals: false", () => {
+    const count = signal(1);
+    const parity = computed(() => count.value % 2, { equals: false });
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      mockEffect(parity.value);
+    });
+
+    count.value = 3;
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("Equality Helpers", () => {
+  test("shallowEqual should compare one level deep", () => {
+    const nested = { a: 1 };
+
+    expect(shallowEqual({ a: 1, b: nested }, { a: 1, b: nested })).toBe(true);
+    expect(shallowEqual({ a: 1, b: { a: 1 } }, { a: 1, b: { a: 1 } })).toBe(
+      false,
+    );
+    expect(shallowEqual([1, 2], [1, 2])).toBe(true);
+    expect(shallowEqual([1, 2], [1, 2, 3])).toBe(false);
+    expect(shallowEqual(NaN, NaN)).toBe(true);
+  });
+
+  test("deepEqual should compare nested structures", () => {
+    expect(
+      deepEqual(
+        { date: new Date(0), map: new Map([["k", [1]]]), set: new Set([1]) },
+        { date: new Date(0), map: new Map([["k", [1]]]), set: new Set([1]) },
+      ),
+    ).toBe(true);
+    expect(deepEqual({ a: { b: 1 } }, { a: { b: 2 } })).toBe(false);
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(deepEqual(new Date(0), {})).toBe(false);
+  });
+
+  test("deepEqual should handle circular references", () => {
+    const a = { name: "a" };
+    a.self = a;
+    const b = { name: "a" };
+    b.self = b;
+
+    expect(deepEqual(a, b)).toBe(true);
+  });
+
+  test("should compare reactive proxies by their raw values", () => {
+    const record = signal({ Id: "001", tags: ["a"] });
+
+    expect(deepEqual(record.value, { Id: "001", tags: ["a"] })).toBe(true);
+  });
+});
+
+describe("Error Handling", () => {
+  test("should keep running other effects when one throws", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      if (count.value > 0) {
+        throw new Error("Effect failed");
+      }
+    });
+
+    effect(() => {
+      mockEffect(count.value);
+    });
+
+    expect(() => {
+      count.value = 1;
+    }).toThrow("Effect failed");
+
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+  });
+
+  test("should keep the rest of a batch when an effect throws", () => {
+    const a = signal(0);
+    const b = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      if (a.value > 0) {
+        throw new Error("Effect failed");
+      }
+    });
+
+    effect(() => {
+      mockEffect(b.value);
+    });
+
+    expect(() =>
+      batch(() => {
+        a.value = 1;
+        b.value = 1;
+      }),
+    ).toThrow("Effect failed");
+
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+  });
+
+  test("should rethrow the batch callback error when an effect also throws", () => {
+    const count = signal(0);
+    const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      if (count.value > 0) {
+        throw new Error("effect err");
+      }
+    });
+
+    effect(() => {
+      mockEffect(count.value);
+    });
+
+    expect(() =>
+      batch(() => {
+        count.value = 1;
+        throw new Error("callback err");
+      }),
+    ).toThrow("callback err");
+
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+    expect(consoleSpy).toHaveBeenCalledWith(new Error("effect err"));
+
+    consoleSpy.mockRestore();
+  });
+
+  test("should route errors to the effect onError handler", () => {
+    const count = signal(0);
+    const handleError = jest.fn();
+
+    effect(
+      () => {
+        if (count.value > 0) {
+          throw new Error("Effect failed");
+        }
+      },
+      { onError: handleError },
+    );
+
+    count.value = 1;
+
+    expect(handleError).toHaveBeenCalledWith(new Error("Effect failed"));
+  });
+
+  test("should keep tracking dependencies after an effect throws", () => {
+    const count = signal(0);
+    const handleError = jest.fn();
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        mockEffect(count.value);
+
+        if (count.value === 1) {
+          throw new Error("Effect failed");
+        }
+      },
+      { onError: handleError },
+    );
+
+    count.value = 1;
+    count.value = 2;
+
+    expect(handleError).toHaveBeenCalledTimes(1);
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+  });
+
+  test("should route errors to the global onError handler", () => {
+    const count = signal(0);
+    const handleError = jest.fn();
+    const removeHandler = onError(handleError);
+
+    try {
+      effect(() => {
+        if (count.value > 0) {
+          throw new Error("Effect failed");
+        }
+      });
+
+      count.value = 1;
+
+      expect(handleError).toHaveBeenCalledWith(new Error("Effect failed"));
+    } finally {
+      removeHandler();
+    }
+  });
+
+  test("should route subscriber errors to the global onError handler", () => {
+    const count = signal(0);
+    const handleError = jest.fn();
+    const mockSubscriber = jest.fn();
+    const removeHandler = onError(handleError);
+
+    try {
+      count.subscribe(() => {
+        throw new Error("Subscriber failed");
+      });
+      count.subscribe(mockSubscriber);
+
+      count.value = 1;
+
+      expect(handleError).toHaveBeenCalledTimes(1);
+      expect(mockSubscriber).toHaveBeenCalledTimes(1);
+    } finally {
+      removeHandler();
+    }
+  });
+
+  test("should store computed errors and rethrow them on read", () => {
+    const count = signal(0);
+    const computation = jest.fn(() => {
+      if (count.value < 0) {
+        throw new Error("Negative count");
+      }
+
+      return count.value * 2;
+    });
+    const doubled = computed(computation);
+
+    expect(doubled.value).toBe(0);
+
+    count.value = -1;
+
+    expect(() => doubled.value).toThrow("Negative count");
+    expect(() => doubled.peek()).toThrow("Negative count");
+    expect(computation).toHaveBeenCalledTimes(2);
+
+    count.value = 2;
+
+    expect(doubled.value).toBe(4);
+  });
+
+  test("should notify effects when a computed starts failing", () => {
+    const count = signal(0);
+    const handleError = jest.fn();
+    const doubled = computed(() => {
+      if (count.value < 0) {
+        throw new Error("Negative count");
+      }
+
+      return count.value * 2;
+    });
+
+    effect(
+      () => {
+        doubled.value;
+      },
+      { onError: handleError },
+    );
+
+    count.value = -1;
+
+    expect(handleError).toHaveBeenCalledWith(new Error("Negative count"));
+  });
+
+  test("should route component effect errors to errorCallback", () => {
+    const count = signal(0);
+    const errorCallback = jest.fn();
+
+    class MockLightningComponent {
+      renderedCallback() {}
+      render() {}
+    }
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      connectedCallback() {
+        this.effect(() => {
+          if (count.value > 0) {
+            throw new Error("Effect failed");
+          }
+        });
+      }
+
+      errorCallback(error, stack) {
+        errorCallback(error, stack);
+      }
+    }
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+
+    count.value = 1;
+
+    expect(errorCallback).toHaveBeenCalledWith(
+      new Error("Effect failed"),
+      expect.any(String),
+    );
+
+    instance.disconnectedCallback();
+  });
+});
+
+describe("Cycle Detection", () => {
+  afterEach(() => {
+    configure({ devMode: false, maxEffectRuns: 100 });
+  });
+
+  test("should throw when computed signals depend on each other", () => {
+    const a = computed(() => b.value + 1, { name: "a" });
+    const b = computed(() => a.value + 1, { name: "b" });
+
+    expect(() => a.value).toThrow(
+      "Cycle detected: computed(a) -> computed(b) -> computed(a)",
+    );
+  });
+
+  test("should name computed signals after their computation", () => {
+    const total = computed(function totalAmount() {
+      return total.value;
+    });
+
+    expect(() => total.value).toThrow(
+      "Cycle detected: computed(totalAmount) -> computed(totalAmount)",
+    );
+  });
+
+  test("should report effects writing to their own dependencies in dev mode", () => {
+    configure({ devMode: true });
+
+    const items = signal([], { name: "items" });
+    const total = computed(() => items.value.length, { name: "total" });
+    const handleError = jest.fn();
+
+    effect(
+      function sync() {
+        items.value = [...items.peek(), total.value];
+      },
+      { onError: handleError },
+    );
+
+    expect(handleError).toHaveBeenCalledWith(
+      new Error(
+        "Cycle detected: effect(sync) -> computed(total) -> signal(items) -> effect(sync)",
+      ),
+    );
+    expect(items.peek()).toEqual([0]);
+  });
+
+  test("should stop effects that re-run too many times in a flush", () => {
+    configure({ maxEffectRuns: 10 });
+
+    const count = signal(0);
+    const handleError = jest.fn();
+
+    effect(
+      function increment() {
+        count.value = count.value + 1;
+      },
+      { onError: handleError },
+    );
+
+    expect(handleError).toHaveBeenCalledTimes(1);
+    expect(handleError.mock.calls[0][0].message).toContain(
+      "Infinite update detected: effect(increment) ran more than 10 times",
+    );
+    expect(count.peek()).toBe(11);
+
+    count.value = 0;
+
+    expect(handleError).toHaveBeenCalledTimes(2);
+  });
+
+  test("should allow effects that settle within the limit", () => {
+    const count = signal(0);
+
+    effect(() => {
+      if (count.value < 5) {
+        count.value = count.value + 1;
+      }
+    });
+
+    expect(count.peek()).toBe(5);
+  });
+});
+
+describe("Scheduler", () => {
+  afterEach(() => {
+    configure({ scheduler: "sync", maxEffectRuns: 100 });
+  });
+
+  test("should run the first effect run synchronously", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        mockEffect(count.value);
+      },
+      { scheduler: "microtask" },
+    );
+
+    expect(mockEffect).toHaveBeenCalledWith(0);
+  });
+
+  test("should batch writes until the microtask runs", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        mockEffect(count.value);
+      },
+      { scheduler: "microtask" },
+    );
+
+    count.value = 1;
+    count.value = 2;
+    count.value = 3;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    jest.runAllTicks();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(3);
+  });
+
+  test("should defer effects to the next animation frame", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        mockEffect(count.value);
+      },
+      { scheduler: "animationFrame" },
+    );
+
+    count.value = 1;
+    count.value = 2;
+    jest.runAllTicks();
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    jest.runAllTimers();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+  });
+
+  test("should accept a custom scheduler function", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const queue = [];
+
+    effect(
+      () => {
+        mockEffect(count.value);
+      },
+      { scheduler: (run) => queue.push(run) },
+    );
+
+    count.value = 1;
+    count.value = 2;
+
+    expect(queue).toHaveLength(1);
+
+    queue[0]();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+  });
+
+  test("should drain scheduled effects with flush()", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        mockEffect(count.value);
+      },
+      { scheduler: "microtask" },
+    );
+
+    count.value = 1;
+    flush();
+
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+
+    jest.runAllTicks();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+  });
+
+  test("should drain effects scheduled by other effects with flush()", () => {
+    configure({ scheduler: "microtask" });
+
+    const a = signal(0);
+    const b = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      b.value = a.value * 2;
+    });
+    effect(() => {
+      mockEffect(b.value);
+    });
+
+    a.value = 1;
+    flush();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+  });
+
+  test("should use the configured default scheduler", () => {
+    configure({ scheduler: "microtask" });
+
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const mockSubscriber = jest.fn();
+
+    effect(() => {
+      mockEffect(count.value);
+    });
+    count.subscribe(mockSubscriber);
+
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+
+    flush();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+  });
+
+  test("should defer component re-renders with the default scheduler", () => {
+    configure({ scheduler: "microtask" });
+
+    const count = signal(0);
+
+    class MockLightningComponent {
+      renderedCallback() {}
+      render() {}
+    }
+
+    class MockComponent extends WithSignals(MockLightningComponent) {}
+
+    const instance = new MockComponent();
+
+    instance.render();
+    expect(count.value).toBe(0);
+    instance.renderedCallback();
+
+    const renderTimestamp = instance.__updateTimestamp;
+    jest.advanceTimersByTime(10);
+
+    count.value = 1;
+
+    expect(instance.__updateTimestamp).toBe(renderTimestamp);
+
+    flush();
+
+    expect(instance.__updateTimestamp).not.toBe(renderTimestamp);
+  });
+
+  test("should stop deferred effects that keep scheduling themselves", () => {
+    configure({ maxEffectRuns: 10 });
+
+    const count = signal(0);
+    const handleError = jest.fn();
+
+    effect(
+      () => {
+        count.value = count.value + 1;
+      },
+      { scheduler: "microtask", onError: handleError },
+    );
+
+    jest.runAllTicks();
+
+    expect(handleError).toHaveBeenCalledTimes(1);
+    expect(handleError.mock.calls[0][0].message).toContain(
+      "Infinite update detected",
+    );
+  });
+
+  test("should count sync effect runs per flush while deferred effects are queued", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(
+      () => {
+        count.value;
+      },
+      { scheduler: "animationFrame" },
+    );
+    effect(() => {
+      mockEffect(count.value);
+    });
+
+    expect(() => {
+      for (let i = 1; i <= 150; i++) {
+        count.value = i;
+      }
+    }).not.toThrow();
+    expect(mockEffect).toHaveBeenLastCalledWith(150);
+  });
+
+  test("should reject unknown schedulers", () => {
+    expect(() => configure({ scheduler: "idle" })).toThrow(
+      "Unknown scheduler: idle",
+    );
+  });
+});
+
+describe("Effect Scope", () => {
+  test("should dispose every effect created in the scope", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const mockCleanup = jest.fn();
+    const scope = effectScope();
+
+    scope.run(() => {
+      effect(() => {
+        mockEffect(count.value);
+
+        return mockCleanup;
+      });
+    });
+
+    scope.stop();
+
+    expect(mockCleanup).toHaveBeenCalledTimes(1);
+    expect(scope.active).toBe(false);
+
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+    expect(count.subscribers.size).toBe(0);
+  });
+
+  test("should return the result of run", () => {
+    const scope = effectScope();
+
+    expect(scope.run(() => "result")).toBe("result");
+
+    scope.stop();
+
+    expect(scope.run(() => "result")).toBe(undefined);
+  });
+
+  test("should release computed signals created in the scope", () => {
+    const count = signal(1);
+    const scope = effectScope();
+    const doubled = scope.run(() => computed(() => count.value * 2));
+
+    const dispose = effect(() => {
+      doubled.value;
+    });
+
+    expect(count.subscribers.size).toBe(1);
+
+    scope.stop();
+
+    expect(count.subscribers.size).toBe(0);
+    expect(doubled.value).toBe(2);
+
+    count.value = 2;
+
+    expect(doubled.value).toBe(4);
+
+    dispose();
+  });
+
+  test("should stop nested scopes with their parent", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const parent = effectScope();
+
+    parent.run(() => {
+      const child = effectScope();
+
+      child.run(() => {
+        effect(() => {
+          mockEffect(count.value);
+        });
+      });
+    });
+
+    parent.stop();
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not stop detached scopes with their parent", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const parent = effectScope();
+    const detached = parent.run(() => effectScope(true));
+
+    detached.run(() => {
+      effect(() => {
+        mockEffect(count.value);
+      });
+    });
+
+    parent.stop();
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+
+    detached.stop();
+  });
+
+  test("should defer effects while paused and catch up on resume", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const scope = effectScope();
+
+    scope.run(() => {
+      const nested = effectScope();
+
+      nested.run(() => {
+        effect(() => {
+          mockEffect(count.value);
+        });
+      });
+    });
+
+    scope.pause();
+
+    expect(scope.paused).toBe(true);
+
+    count.value = 1;
+    count.value = 2;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    scope.resume();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+
+    scope.stop();
+  });
+
+  test("should not re-run effects on resume when nothing changed", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const scope = effectScope();
+
+    scope.run(() => {
+      effect(() => {
+        mockEffect(count.value);
+      });
+    });
+
+    scope.pause();
+    scope.resume();
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    scope.stop();
+  });
+
+  test("should forget effects disposed individually", () => {
+    const scope = effectScope();
+    const mockCleanup = jest.fn();
+
+    const dispose = scope.run(() => effect(() => mockCleanup));
+
+    dispose();
+    scope.stop();
+
+    expect(mockCleanup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Untracked Operations", () => {
+  test("should not track signal access in untracked scope", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      mockEffect(untracked(() => count.value));
+    });
+
+    count.value = 1;
+    jest.runAllTimers();
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Signal Edge Cases", () => {
+  test("should handle undefined and null values", () => {
+    const value = signal(undefined);
+    expect(value.peek()).toBe(undefined);
+
+    value.value = null;
+    jest.runAllTimers();
+
+    expect(value.peek()).toBe(null);
+  });
+
+  test("should handle multiple subscriptions and unsubscriptions", () => {
+    const count = signal(0);
+    const mock1 = jest.fn();
+    const mock2 = jest.fn();
+    const mock3 = jest.fn();
+
+    const unsub1 = count.subscribe(mock1);
+    const unsub2 = count.subscribe(mock2);
+    count.subscribe(mock3);
+
+    count.value = 1;
+    jest.runAllTimers();
+
+    expect(mock1).toHaveBeenCalledTimes(1);
+    expect(mock2).toHaveBeenCalledTimes(1);
+    expect(mock3).toHaveBeenCalledTimes(1);
+
+    unsub1();
+
+    count.value = 2;
+    jest.runAllTimers();
+
+    expect(mock1).toHaveBeenCalledTimes(1);
+    expect(mock2).toHaveBeenCalledTimes(2);
+    expect(mock3).toHaveBeenCalledTimes(2);
+
+    unsub2();
+
+    count.value = 3;
+    jest.runAllTimers();
+
+    expect(mock1).toHaveBeenCalledTimes(1);
+    expect(mock2).toHaveBeenCalledTimes(2);
+    expect(mock3).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("ComputedSignal Extended", () => {
+  test("should handle computed chain reactions", () => {
+    const base = signal(1);
+    const doubled = computed(() => base.value * 2);
+    const quadrupled = computed(() => doubled.value * 2);
+    const final = computed(() => quadrupled.value + 1);
+
+    const mockSubscriber = jest.fn();
+    final.subscribe(mockSubscriber);
+
+    expect(final.value).toBe(5);
+
+    base.value = 2;
+    jest.runAllTimers();
+
+    expect(final.value).toBe(9);
+    expect(mockSubscriber).toHaveBeenCalledTimes(1);
+  });
+
+  test("should handle circular dependencies gracefully", () => {
+    const a = signal(1);
+    const b = computed(() => a.value + 1);
+    const c = computed(() => b.value + 1);
+
+    a.value = c.value; // This should work without infinite loops
+    jest.runAllTimers();
+
+    expect(a.value).toBe(3);
+  });
+});
+
+describe("Effect Cleanup", () => {
+  test("should handle multiple cleanup functions", () => {
+    const count = signal(0);
+    const mockCleanup1 = jest.fn();
+    const mockCleanup2 = jest.fn();
+
+    let cleanup2 = mockCleanup2;
+
+    const dispose = effect(() => {
+      expect(count.value).not.toBe(undefined);
+
+      cleanup2 = mockCleanup2;
+
+      return () => {
+        mockCleanup1();
+        cleanup2();
+      };
+    });
+
+    count.value = 1;
+    jest.runAllTimers();
+
+    expect(mockCleanup1).toHaveBeenCalledTimes(1);
+    expect(mockCleanup2).toHaveBeenCalledTimes(1);
+
+    dispose();
+    expect(mockCleanup1).toHaveBeenCalledTimes(2);
+    expect(mockCleanup2).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("WithSignals", () => {
+  const originalCrypto = global.crypto;
+
+  beforeEach(() => {
+    Object.defineProperty(global, "crypto", {
+      value: { randomUUID: () => "test-uuid" },
+      writable: true,
+    });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(global, "crypto", {
+      value: originalCrypto,
+      writable: true,
+    });
+  });
+
+  const counter = signal(0);
+
+  class MockLightningComponent {
+    isConnected = true;
+    renderedCallback() {}
+    render() {}
+  }
+
+  class MockComponent extends WithSignals(MockLightningComponent) {
+    counter = counter;
+    createConnectedCallbackEffect;
+
+    connectedCallback() {
+      this.createConnectedCallbackEffect?.();
+    }
+  }
+
+  test("should handle signal updates in component lifecycle", () => {
+    const instance = new MockComponent();
+    const mockRender = jest.spyOn(instance, "render");
+    const mockRenderedCallback = jest.spyOn(instance, "renderedCallback");
+
+    instance.render();
+
+    expect(instance.counter.value).toBe(0);
+
+    jest.runAllTimers();
+
+    instance.renderedCallback();
+
+    expect(mockRender).toHaveBeenCalledTimes(1);
+    expect(instance.__updateTimestamp).toBeDefined();
+    expect(instance.__previousUpdateTimestamp).toBeDefined();
+    expect(mockRenderedCallback).toHaveBeenCalledTimes(1);
+
+    counter.value = 1;
+    jest.runAllTimers();
+
+    instance.render();
+
+    jest.runAllTimers();
+
+    expect(instance.counter.value).toBe(1);
+
+    instance.renderedCallback();
+
+    expect(mockRender).toHaveBeenCalledTimes(2);
+    expect(instance.__updateTimestamp).toBeDefined();
+    expect(
+      instance.__previousUpdateTimestamp === undefined ||
+        instance.__previousUpdateTimestamp === instance.__updateTimestamp
+    ).toBeTruthy();
+    expect(mockRenderedCallback).toHaveBeenCalledTimes(2);
+
+    counter.value = 2;
+    jest.runAllTimers();
+
+    instance.render();
+
+    expect(instance.counter.value).toBe(2);
+
+    jest.runAllTimers();
+
+    instance.renderedCallback();
+
+    expect(mockRender).toHaveBeenCalled();
+    expect(instance.__updateTimestamp).toBeDefined();
+    expect(instance.__previousUpdateTimestamp).toBeDefined();
+    expect(mockRenderedCallback).toHaveBeenCalledTimes(3);
+  });
+
+  test("should cleanup disconnected components", () => {
+    const instance = new MockComponent();
+    const testSignal = signal("test");
+
+    instance.render();
+    expect(testSignal.value).toBe("test");
+
+    instance.disconnectedCallback();
+
+    testSignal.value = "updated";
+    jest.runAllTimers();
+
+    // Component should be removed from signal's tracking
+    expect(instance.__effectInstance).toBeDefined();
+    expect(instance.__effectInstance._dependencies?.size).toBe(0);
+    expect(testSignal.subscribers.size).toBe(0);
+  });
+
+  test("should handle cleanup effects correctly", () => {
+    const mockCleanup = jest.fn();
+
+    const instance = new MockComponent();
+    instance.createConnectedCallbackEffect = () => {
+      effect(() => {
+        return () => mockCleanup();
+      })
+    };
+
+    instance.connectedCallback();
 
     expect(mockCleanup).toHaveBeenCalledTimes(0);
 
-    instance.disconnectedCallback();
+    instance.disconnectedCallback();
+
+    expect(mockCleanup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("WithSignals Render Tracking", () => {
+  class MockLightningComponent {
+    renderedCallback() {}
+    render() {}
+  }
+
+  class MockComponent extends WithSignals(MockLightningComponent) {}
+
+  class FailingComponent extends WithSignals(
+    class {
+      renderedCallback() {}
+      render() {
+        throw new Error("Render failed");
+      }
+    },
+  ) {}
+
+  test("should track nested parent and child renders separately", () => {
+    const parentSignal = signal("parent");
+    const childSignal = signal("child");
+    const parent = new MockComponent();
+    const child = new MockComponent();
+
+    parent.render();
+    expect(parentSignal.value).toBe("parent");
+
+    child.render();
+    expect(childSignal.value).toBe("child");
+    child.renderedCallback();
+
+    expect(parentSignal.value).toBe("parent");
+    parent.renderedCallback();
+
+    expect(parent.__effectInstance._dependencies.has(parentSignal)).toBe(true);
+    expect(parent.__effectInstance._dependencies.has(childSignal)).toBe(false);
+    expect(child.__effectInstance._dependencies.has(childSignal)).toBe(true);
+    expect(child.__effectInstance._dependencies.has(parentSignal)).toBe(false);
+  });
+
+  test("should re-render only the component that read the signal", () => {
+    const parentSignal = signal("parent");
+    const childSignal = signal("child");
+    const parent = new MockComponent();
+    const child = new MockComponent();
+
+    parent.render();
+    child.render();
+    expect(childSignal.value).toBe("child");
+    child.renderedCallback();
+    expect(parentSignal.value).toBe("parent");
+    parent.renderedCallback();
+
+    const parentTimestamp = parent.__updateTimestamp;
+    const childTimestamp = child.__updateTimestamp;
+    jest.advanceTimersByTime(10);
+
+    childSignal.value = "updated";
+
+    expect(parent.__updateTimestamp).toBe(parentTimestamp);
+    expect(child.__updateTimestamp).not.toBe(childTimestamp);
+  });
+
+  test("should stay balanced when render throws", () => {
+    const outside = signal("outside");
+    const instance = new FailingComponent();
+
+    expect(() => instance.render()).toThrow("Render failed");
+
+    expect(outside.value).toBe("outside");
+    expect(outside.subscribers.size).toBe(0);
+  });
+
+  test("should close a child render that never reached renderedCallback", () => {
+    const parentSignal = signal("parent");
+    const childSignal = signal("child");
+    const outside = signal("outside");
+    const parent = new MockComponent();
+    const child = new MockComponent();
+
+    parent.render();
+    expect(parentSignal.value).toBe("parent");
+
+    child.render();
+    expect(childSignal.value).toBe("child");
+    // The child template fails, so its renderedCallback never fires
+
+    parent.renderedCallback();
+
+    expect(outside.value).toBe("outside");
+    expect(outside.subscribers.size).toBe(0);
+    expect(parent.__effectInstance._dependencies.has(parentSignal)).toBe(true);
+    expect(child.__effectInstance._dependencies.has(childSignal)).toBe(true);
+  });
+
+  test("should close the render window on the next microtask", () => {
+    const outside = signal("outside");
+    const instance = new MockComponent();
+
+    instance.render();
+    jest.runAllTicks();
+
+    expect(outside.value).toBe("outside");
+    expect(outside.subscribers.size).toBe(0);
+  });
+
+  test("should restart tracking when rendered twice in a row", () => {
+    const first = signal("first");
+    const second = signal("second");
+    const outside = signal("outside");
+    const instance = new MockComponent();
+
+    instance.render();
+    expect(first.value).toBe("first");
+    instance.render();
+    expect(second.value).toBe("second");
+    instance.renderedCallback();
+
+    expect(instance.__effectInstance._dependencies.has(first)).toBe(false);
+    expect(instance.__effectInstance._dependencies.has(second)).toBe(true);
+    expect(outside.value).toBe("outside");
+    expect(outside.subscribers.size).toBe(0);
+  });
+});
+
+describe("WithSignals Ownership", () => {
+  class MockLightningComponent {
+    connectedCallback() {}
+    disconnectedCallback() {}
+    renderedCallback() {}
+    render() {}
+  }
+
+  test("should attach connectedCallback effects to the connecting component", () => {
+    const count = signal(0);
+    const mockEffectA = jest.fn();
+    const mockEffectB = jest.fn();
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      mockEffect;
+
+      connectedCallback() {
+        super.connectedCallback();
+
+        this.effect(() => {
+          this.mockEffect(count.value);
+        });
+      }
+    }
+
+    const a = new MockComponent();
+    a.mockEffect = mockEffectA;
+    const b = new MockComponent();
+    b.mockEffect = mockEffectB;
+
+    b.connectedCallback();
+    a.connectedCallback();
+
+    b.disconnectedCallback();
+    count.value = 1;
+
+    expect(mockEffectA).toHaveBeenCalledTimes(2);
+    expect(mockEffectB).toHaveBeenCalledTimes(1);
+
+    a.disconnectedCallback();
+    count.value = 2;
+
+    expect(mockEffectA).toHaveBeenCalledTimes(2);
+  });
+
+  test("should not adopt effects created by shared modules during setup", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    let sharedEffect = null;
+
+    const useCount = () => {
+      sharedEffect ??= effect(() => {
+        mockEffect(count.value);
+      });
+
+      return count;
+    };
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      count = useCount();
+
+      connectedCallback() {
+        super.connectedCallback();
+
+        effect(() => {
+          count.value;
+        });
+      }
+    }
+
+    const a = new MockComponent();
+    a.connectedCallback();
+    const b = new MockComponent();
+    b.connectedCallback();
+
+    a.disconnectedCallback();
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+
+    b.disconnectedCallback();
+    count.value = 2;
+
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+  });
+
+  test("should adopt plain effects from connectedCallback once connected", () => {
+    const count = signal(0);
+    const sharedEffect = jest.fn();
+    const connectedEffect = jest.fn();
+    const handlerEffect = jest.fn();
+    let shared = null;
+
+    const useCount = () => {
+      shared ??= effect(() => {
+        sharedEffect(count.value);
+      });
+
+      return count;
+    };
+
+    class MockComponent extends WithSignals(
+      class extends MockLightningComponent {
+        isConnected = false;
+      },
+    ) {
+      count = useCount();
+
+      connectedCallback() {
+        super.connectedCallback();
+
+        effect(() => {
+          connectedEffect(count.value);
+        });
+      }
+    }
+
+    const instance = new MockComponent();
+    instance.isConnected = true;
+    instance.connectedCallback();
+    instance.render();
+    instance.renderedCallback();
+
+    effect(() => {
+      handlerEffect(count.value);
+    });
+
+    instance.disconnectedCallback();
+    count.value = 1;
+
+    expect(sharedEffect).toHaveBeenLastCalledWith(1);
+    expect(connectedEffect).toHaveBeenCalledTimes(1);
+    expect(handlerEffect).toHaveBeenLastCalledWith(1);
+  });
+
+  test("should own effects created by the base connectedCallback", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    class MockComponent extends WithSignals(
+      class extends MockLightningComponent {
+        connectedCallback() {
+          effect(() => {
+            mockEffect(count.value);
+          });
+        }
+      },
+    ) {}
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+    instance.disconnectedCallback();
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not attach effects from event handlers to another component", () => {
+    const count = signal(0);
+    const mockCleanup = jest.fn();
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      handleClick() {
+        return this.effect(() => {
+          count.value;
+
+          return mockCleanup;
+        });
+      }
+    }
+
+    const a = new MockComponent();
+    a.connectedCallback();
+    a.render();
+    a.renderedCallback();
+
+    const b = new MockComponent();
+    b.connectedCallback();
+    b.render();
+    b.renderedCallback();
+
+    a.handleClick();
+    b.disconnectedCallback();
+
+    expect(mockCleanup).not.toHaveBeenCalled();
+
+    a.disconnectedCallback();
+
+    expect(mockCleanup).toHaveBeenCalledTimes(1);
+  });
+
+  test("should suspend and restore this.effect() effects on reconnect", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+    const mockCleanup = jest.fn();
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      logger = this.effect(() => {
+        mockEffect(count.value);
+
+        return mockCleanup;
+      });
+    }
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+
+    instance.disconnectedCallback();
+
+    expect(mockCleanup).toHaveBeenCalledTimes(1);
+    expect(count.subscribers.size).toBe(0);
+
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+
+    instance.connectedCallback();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+    expect(mockEffect).toHaveBeenLastCalledWith(1);
+
+    count.value = 2;
+
+    expect(mockEffect).toHaveBeenLastCalledWith(2);
+  });
+
+  test("should release this.computed() dependencies while disconnected", () => {
+    const count = signal(1);
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      doubled = this.computed(() => count.value * 2);
+    }
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+
+    instance.render();
+    expect(instance.doubled.value).toBe(2);
+    instance.renderedCallback();
+
+    expect(count.subscribers.size).toBe(1);
+
+    instance.disconnectedCallback();
+
+    expect(count.subscribers.size).toBe(0);
+
+    count.value = 2;
+    instance.connectedCallback();
+
+    instance.render();
+    expect(instance.doubled.value).toBe(4);
+    instance.renderedCallback();
+
+    expect(count.subscribers.size).toBe(1);
+  });
+
+  test("should not duplicate connectedCallback effects on reconnect", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      connectedCallback() {
+        super.connectedCallback();
+
+        this.effect(() => {
+          mockEffect(count.value);
+        });
+      }
+    }
+
+    const instance = new MockComponent();
+
+    instance.connectedCallback();
+    instance.disconnectedCallback();
+    instance.connectedCallback();
+
+    mockEffect.mockClear();
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(1);
+  });
+
+  test("should re-render and track again after being re-inserted", () => {
+    const count = signal(0);
+
+    class MockComponent extends WithSignals(MockLightningComponent) {}
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+
+    instance.render();
+    expect(count.value).toBe(0);
+    instance.renderedCallback();
+
+    instance.disconnectedCallback();
+
+    const disconnectedTimestamp = instance.__updateTimestamp;
+    jest.advanceTimersByTime(10);
+
+    count.value = 1;
+
+    expect(instance.__updateTimestamp).toBe(disconnectedTimestamp);
+
+    instance.connectedCallback();
+
+    expect(instance.__updateTimestamp).not.toBe(disconnectedTimestamp);
+
+    instance.render();
+    expect(count.value).toBe(1);
+    instance.renderedCallback();
+
+    const renderTimestamp = instance.__updateTimestamp;
+    jest.advanceTimersByTime(10);
+
+    count.value = 2;
+
+    expect(instance.__updateTimestamp).not.toBe(renderTimestamp);
+  });
+
+  test("should restore on render when connectedCallback skips super", () => {
+    const count = signal(0);
+    const mockEffect = jest.fn();
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      logger = this.effect(() => {
+        mockEffect(count.value);
+      });
+
+      connectedCallback() {}
+    }
+
+    const instance = new MockComponent();
+    instance.connectedCallback();
+    instance.render();
+    instance.renderedCallback();
+
+    instance.disconnectedCallback();
+    instance.connectedCallback();
+    instance.render();
+    instance.renderedCallback();
+
+    expect(mockEffect).toHaveBeenCalledTimes(2);
+
+    count.value = 1;
+
+    expect(mockEffect).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("WithSignals Provide and Inject", () => {
+  class MockLightningComponent {
+    host = document.createElement("div");
+
+    addEventListener(...args) {
+      this.host.addEventListener(...args);
+    }
+
+    dispatchEvent(event) {
+      return this.host.dispatchEvent(event);
+    }
+
+    renderedCallback() {}
+    render() {}
+  }
+
+  class Container extends WithSignals(MockLightningComponent) {
+    store = this.provide("store", signal({ selectedId: null }));
+  }
+
+  class Item extends WithSignals(MockLightningComponent) {
+    store;
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      this.store = this.inject("store");
+    }
+  }
+
+  const mount = (component, parent) => {
+    (parent?.host ?? document.body).appendChild(component.host);
+    component.connectedCallback?.();
+
+    return component;
+  };
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("should resolve values provided by an ancestor", () => {
+    const container = mount(new Container());
+    const wrapper = mount(new Container());
+    const item = mount(new Item(), container);
+
+    expect(item.store).toBe(container.store);
+    expect(item.store).not.toBe(wrapper.store);
+
+    item.store.value.selectedId = "001";
+
+    expect(container.store.value.selectedId).toBe("001");
+  });
+
+  test("should give each provider instance its own subtree", () => {
+    const first = mount(new Container());
+    const second = mount(new Container());
+    const firstItem = mount(new Item(), first);
+    const secondItem = mount(new Item(), second);
+
+    expect(firstItem.store).toBe(first.store);
+    expect(secondItem.store).toBe(second.store);
+    expect(first.store).not.toBe(second.store);
+  });
+
+  test("should resolve from the nearest provider", () => {
+    const outer = mount(new Container());
+    const inner = mount(new Container(), outer);
+    const item = mount(new Item(), inner);
+
+    expect(item.store).toBe(inner.store);
+  });
+
+  test("should not resolve a key from the requesting component itself", () => {
+    class NestedContainer extends WithSignals(MockLightningComponent) {
+      parentStore;
+
+      connectedCallback() {
+        this.parentStore = this.inject("store");
+        this.provide("store", signal({}));
+      }
+    }
+
+    const outer = mount(new Container());
+    const nested = mount(new NestedContainer(), outer);
+
+    nested.connectedCallback();
+
+    expect(nested.parentStore).toBe(outer.store);
+  });
+
+  test("should fall back to the default value without a provider", () => {
+    const item = mount(new Item());
+    const fallback = signal("default");
+
+    expect(item.store).toBe(undefined);
+    expect(item.inject("missing", fallback)).toBe(fallback);
+  });
+
+  test("should keep injected signals reactive", () => {
+    const container = mount(new Container());
+    const item = mount(new Item(), container);
+    const mockEffect = jest.fn();
+
+    effect(() => {
+      mockEffect(item.store.value.selectedId);
+    });
+
+    container.store.value = { selectedId: "002" };
+
+    expect(mockEffect).toHaveBeenLastCalledWith("002");
+  });
+});
+
+describe("Wire Adapters", () => {
+  class MockLightningComponent {
+    connectedCallback() {}
+    disconnectedCallback() {}
+    renderedCallback() {}
+    render() {}
+  }
+
+  test("should send the config signal to the adapter", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+    const recordId = signal("001");
+
+    wireSignal(getRecord, () => ({ recordId: recordId.value }));
+
+    expect(getRecord.getLastConfig()).toEqual({ recordId: "001" });
+
+    recordId.value = "002";
+
+    expect(getRecord.getLastConfig()).toEqual({ recordId: "002" });
+  });
+
+  test("should expose data and error as signals", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+    const record = wireSignal(getRecord, signal({ recordId: "001" }));
+    const name = computed(() => record.data.value?.fields.Name.value);
+
+    expect(record.data.value).toBeUndefined();
+
+    getRecord.emit({ fields: { Name: { value: "Acme" } } });
+
+    expect(name.value).toBe("Acme");
+    expect(record.error.value).toBeUndefined();
+
+    getRecord.error();
+
+    expect(record.data.value).toBeUndefined();
+    expect(record.error.value.status).toBe(404);
+  });
+
+  test("should keep the emitted data as is", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+    const record = wireSignal(getRecord, signal({ recordId: "001" }));
+    const data = Object.freeze({ fields: Object.freeze({ Id: "001" }) });
+
+    getRecord.emit(data);
+
+    expect(record.data.value).toBe(data);
+    expect(record.data.value.fields).toBe(data.fields);
+  });
+
+  test("should not send nullish configs", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+    const recordId = signal(null);
+
+    wireSignal(getRecord, () =>
+      recordId.value ? { recordId: recordId.value } : null,
+    );
+
+    expect(getRecord.getLastConfig()).toEqual({});
+
+    recordId.value = "001";
+
+    expect(getRecord.getLastConfig()).toEqual({ recordId: "001" });
+  });
+
+  test("should disconnect the adapter once disposed", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+    const record = wireSignal(getRecord, signal({ recordId: "001" }));
+
+    record.dispose();
+    getRecord.emit({ Id: "001" });
+
+    expect(record.data.value).toBeUndefined();
+  });
+
+  test("should disconnect and reconnect with the owning component", () => {
+    const getRecord = createLdsTestWireAdapter(jest.fn());
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      recordId = signal("001");
+      record = this.own(() =>
+        wireSignal(getRecord, () => ({ recordId: this.recordId.value })),
+      );
+    }
+
+    const component = new MockComponent();
+    component.connectedCallback();
+
+    component.disconnectedCallback();
+    getRecord.emit({ Id: "001" });
+
+    expect(component.record.data.value).toBeUndefined();
+
+    component.connectedCallback();
+    getRecord.emit({ Id: "001" });
+
+    expect(component.record.data.value).toEqual({ Id: "001" });
+    expect(getRecord.getLastConfig()).toEqual({ recordId: "001" });
+  });
+
+  test("should bind a signal to a component property", () => {
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      selectedId = signal("001");
+      recordId;
+
+      connectedCallback() {
+        super.connectedCallback();
+
+        this.bindProperty("recordId", this.selectedId);
+      }
+    }
+
+    const component = new MockComponent();
+    component.connectedCallback();
+
+    expect(component.recordId).toBe("001");
+
+    component.selectedId.value = "002";
+
+    expect(component.recordId).toBe("002");
+
+    component.disconnectedCallback();
+    component.selectedId.value = "003";
+
+    expect(component.recordId).toBe("002");
+  });
+
+  test("should bind a computed to a component property", () => {
+    const records = signal([{ Id: "001" }]);
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      recordIds;
+      ids = this.computed(() => records.value.map((record) => record.Id));
+      binding = this.bindProperty("recordIds", this.ids);
+    }
+
+    const component = new MockComponent();
+
+    expect(component.recordIds).toEqual(["001"]);
+
+    records.value.push({ Id: "002" });
+
+    expect(component.recordIds).toEqual(["001", "002"]);
+  });
+
+  test("should assign a new reference when the bound value is mutated in place", () => {
+    const recordIds = signal(["001"]);
+
+    class MockComponent extends WithSignals(MockLightningComponent) {
+      ids;
+      binding = this.bindProperty("ids", recordIds);
+    }
+
+    const component = new MockComponent();
+    const previous = component.ids;
+
+    recordIds.value.push("002");
+
+    expect(component.ids).toEqual(["001", "002"]);
+    expect(component.ids).not.toBe(previous);
+    expect(component.ids).not.toBe(toRaw(recordIds.value));
+  });
+});
+
+describe("Shared Reactive Objects", () => {
+  test("should notify every signal holding the same object", () => {
+    const account = { name: "Acme" };
+    const selected = signal(account);
+    const recent = signal(account);
+    const selectedSpy = jest.fn();
+    const recentSpy = jest.fn();
+
+    effect(() => {
+      selectedSpy(selected.value.name);
+    });
+    effect(() => {
+      recentSpy(recent.value.name);
+    });
+
+    selected.value.name = "Globex";
+
+    expect(selectedSpy).toHaveBeenLastCalledWith("Globex");
+    expect(recentSpy).toHaveBeenLastCalledWith("Globex");
+  });
+
+  test("should notify the owners of objects nested in several trees", () => {
+    const address = { city: "Paris" };
+    const account = signal({ billing: address });
+    const contact = signal({ mailing: address });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(contact.value.mailing.city);
+    });
+
+    account.value.billing.city = "Rome";
+
+    expect(spy).toHaveBeenLastCalledWith("Rome");
+  });
+
+  test("should notify the new owner when an object moves between signals", () => {
+    const line = { quantity: 1 };
+    const draft = signal([line]);
+    const saved = signal([]);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(saved.value.map((item) => item.quantity));
+    });
+
+    saved.value.push(draft.value.pop());
+    saved.value[0].quantity = 2;
+
+    expect(spy).toHaveBeenLastCalledWith([2]);
+  });
+
+  test("should stop notifying owners that no longer hold the object", () => {
+    const account = { name: "Acme" };
+    const selected = signal(account);
+    const list = signal({ current: account });
+    const selectedSpy = jest.fn();
+    const listSpy = jest.fn();
+
+    effect(() => {
+      selectedSpy(selected.value);
+    });
+    effect(() => {
+      listSpy(list.value.current);
+    });
+
+    selected.value = { name: "Other" };
+    list.value.current = null;
+    selectedSpy.mockClear();
+    listSpy.mockClear();
+
+    const proxy = signal(account).value;
+    proxy.name = "Globex";
+
+    expect(selectedSpy).not.toHaveBeenCalled();
+    expect(listSpy).not.toHaveBeenCalled();
+  });
+
+  test("should run effects depending on several owners once", () => {
+    const account = { name: "Acme" };
+    const first = signal(account);
+    const second = signal(account);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(first.value.name, second.value.name);
+    });
+
+    first.value.name = "Globex";
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenLastCalledWith("Globex", "Globex");
+  });
+
+  test("should make values read from collections reactive", () => {
+    const settings = { theme: "dark" };
+    const byUser = signal(new Map([["005", settings]]));
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(byUser.value.get("005").theme);
+    });
+
+    byUser.value.get("005").theme = "light";
+
+    expect(spy).toHaveBeenLastCalledWith("light");
+  });
+
+  test("should notify every owner of objects changed through update()", () => {
+    const address = { city: "Paris" };
+    const account = signal({ billing: address });
+    const contact = signal({ mailing: address });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(contact.value.mailing.city);
+    });
+
+    account.update((draft) => {
+      draft.billing.city = "Rome";
+    });
+
+    expect(spy).toHaveBeenLastCalledWith("Rome");
+  });
+
+  test("should handle circular references", () => {
+    const node = { name: "root" };
+    node.self = node;
+
+    const tree = signal(node);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(tree.value.self.name);
+    });
+
+    tree.value.self.self.name = "changed";
+
+    expect(spy).toHaveBeenLastCalledWith("changed");
+  });
+  test("should not retain signals that replaced a shared object", async () => {
+    const account = { name: "Acme" };
+    const holdAndRelease = () => {
+      const holder = signal(account);
+      holder.value.name;
+      holder.value = null;
+
+      return new WeakRef(holder);
+    };
+    const released = Array.from({ length: 100 }, holdAndRelease);
+
+    expect(await countRetained(released)).toBe(0);
+  });
+
+  test("should notify signals holding a nested object that was never read", () => {
+    const row = { qty: 1 };
+    const quote = signal({ lines: [row] });
+    const quoteHistory = history(quote);
+    const editor = signal(row);
+    const spy = jest.fn();
+
+    quote.subscribe(spy);
+
+    editor.value.qty = 2;
+
+    expect(quoteHistory.canUndo.value).toBe(true);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    const note = { text: "Draft" };
+    quote.value.meta = { note };
+    signal(note).value.text = "Final";
+
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+
+  test("should keep owners that still hold the object under another key", () => {
+    const account = { name: "Acme" };
+    const selected = signal(account);
+    const pair = signal({ first: account, second: account });
+    const spy = jest.fn();
+
+    pair.value.first.name;
+    pair.subscribe(spy);
+
+    pair.value.first = { name: "Other" };
+    selected.value.name = "Globex";
+
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    pair.value.second = null;
+    selected.value.name = "Initech";
+
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("Shallow and Raw Values", () => {
+  test("should only track value reassignment in a shallow signal", () => {
+    const config = shallowSignal({ type: "bar", data: [1, 2] });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(config.value.data.length);
+    });
+
+    config.value.data.push(3);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    config.value = { type: "line", data: [1] };
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenLastCalledWith(1);
+  });
+
+  test("should keep the exact object in a shallow signal", () => {
+    const payload = Object.freeze({ fields: Object.freeze({ Id: "001" }) });
+    const record = shallowSignal(payload);
+
+    expect(record.value).toBe(payload);
+    expect(record.value.fields).toBe(payload.fields);
+  });
+
+  test("should support class instances with private fields", () => {
+    class Counter {
+      #count = 0;
+
+      increment() {
+        this.#count += 1;
+      }
+
+      get count() {
+        return this.#count;
+      }
+    }
+
+    const counter = shallowSignal(new Counter());
+
+    counter.value.increment();
+
+    expect(counter.value.count).toBe(1);
+  });
+
+  test("should not proxy objects marked as raw", () => {
+    const chartConfig = markRaw({ options: { responsive: true } });
+    const state = signal({ chart: chartConfig, title: "Sales" });
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(state.value.chart.options.responsive);
+    });
+
+    expect(state.value.chart).toBe(chartConfig);
+
+    state.value.chart.options.responsive = false;
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    state.value.title = "Revenue";
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  test("should not proxy raw objects held directly by a signal", () => {
+    const payload = markRaw({ items: [] });
+    const data = signal(payload);
+
+    expect(data.value).toBe(payload);
+    expect(toRaw(data.value)).toBe(payload);
+  });
+
+  test("should keep raw objects by reference in snapshots", () => {
+    const chartConfig = markRaw({ type: "bar" });
+    const state = signal({ chart: chartConfig, step: 1 });
+    const stateHistory = history(state);
+
+    state.value.step = 2;
+    stateHistory.undo();
+
+    expect(state.value.chart).toBe(chartConfig);
+  });
+
+  test("should return the underlying object", () => {
+    const raw = { name: "Acme", contacts: [{ name: "Ada" }] };
+    const account = signal(raw);
+
+    expect(toRaw(account.value)).toBe(raw);
+    expect(toRaw(account.value.contacts)).toBe(raw.contacts);
+    expect(toRaw(raw)).toBe(raw);
+    expect(toRaw(1)).toBe(1);
+    expect(JSON.stringify(toRaw(account.value))).toBe(JSON.stringify(raw));
+  });
+});
+
+describe("Reactive Store", () => {
+  class MockLightningComponent {
+    connectedCallback() {}
+    disconnectedCallback() {}
+    renderedCallback() {}
+    render() {}
+  }
+
+  test("should only re-run effects reading the changed property", () => {
+    const user = store({ name: "Ada", settings: { theme: "dark" } });
+    const nameSpy = jest.fn();
+    const themeSpy = jest.fn();
+
+    effect(() => {
+      nameSpy(user.name);
+    });
+    effect(() => {
+      themeSpy(user.settings.theme);
+    });
+
+    user.settings.theme = "light";
+
+    expect(nameSpy).toHaveBeenCalledTimes(1);
+    expect(themeSpy).toHaveBeenCalledTimes(2);
+    expect(themeSpy).toHaveBeenLastCalledWith("light");
+
+    user.name = "Grace";
+
+    expect(nameSpy).toHaveBeenCalledTimes(2);
+    expect(themeSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test("should track array indexes separately", () => {
+    const rows = reactive([{ name: "A" }, { name: "B" }]);
+    const firstSpy = jest.fn();
+    const secondSpy = jest.fn();
+
+    effect(() => {
+      firstSpy(rows[0].name);
+    });
+    effect(() => {
+      secondSpy(rows[1].name);
+    });
+
+    rows[1].name = "B2";
+
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(secondSpy).toHaveBeenLastCalledWith("B2");
+  });
+
+  test("should notify length and iteration readers on structural changes", () => {
+    const rows = store([1, 2]);
+    const lengthSpy = jest.fn();
+    const sumSpy = jest.fn();
+
+    effect(() => {
+      lengthSpy(rows.length);
+    });
+    effect(() => {
+      sumSpy(rows.reduce((sum, row) => sum + row, 0));
+    });
+
+    rows.push(3);
+
+    expect(lengthSpy).toHaveBeenLastCalledWith(3);
+    expect(sumSpy).toHaveBeenCalledTimes(2);
+    expect(sumSpy).toHaveBeenLastCalledWith(6);
+
+    rows.length = 1;
+
+    expect(lengthSpy).toHaveBeenLastCalledWith(1);
+    expect(sumSpy).toHaveBeenLastCalledWith(1);
+  });
+
+  test("should not track the length read by mutating array methods", () => {
+    const log = store([]);
+    const other = signal(0);
+    const spy = jest.fn();
+
+    effect(() => {
+      other.value;
+      log.push("entry");
+      spy();
+    });
+
+    other.value = 1;
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(log.length).toBe(2);
+  });
+
+  test("should track Map keys separately", () => {
+    const prices = store(
+      new Map([
+        ["A", 10],
+        ["B", 20],
+      ]),
+    );
+    const aSpy = jest.fn();
+    const sizeSpy = jest.fn();
+
+    effect(() => {
+      aSpy(prices.get("A"));
+    });
+    effect(() => {
+      sizeSpy(prices.size);
+    });
+
+    prices.set("B", 25);
+
+    expect(aSpy).toHaveBeenCalledTimes(1);
+    expect(sizeSpy).toHaveBeenCalledTimes(1);
+
+    prices.set("C", 30);
+
+    expect(aSpy).toHaveBeenCalledTimes(1);
+    expect(sizeSpy).toHaveBeenLastCalledWith(3);
+
+    prices.delete("A");
+
+    expect(aSpy).toHaveBeenLastCalledWith(undefined);
+  });
+
+  test("should track Set membership per value", () => {
+    const selected = store(new Set(["001"]));
+    const firstSpy = jest.fn();
+    const secondSpy = jest.fn();
+    const valuesSpy = jest.fn();
+
+    effect(() => {
+      firstSpy(selected.has("001"));
+    });
+    effect(() => {
+      secondSpy(selected.has("002"));
+    });
+    effect(() => {
+      valuesSpy(Array.from(selected));
+    });
 
-    expect(mockCleanup).toHaveBeenCalledTimes(1);
+    selected.add("002");
+
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(secondSpy).toHaveBeenLastCalledWith(true);
+    expect(valuesSpy).toHaveBeenLastCalledWith(["001", "002"]);
+  });
+
+  test("should make nested collection values reactive", () => {
+    const accounts = store(new Map([["001", { name: "Acme" }]]));
+    const spy = jest.fn();
+
+    effect(() => {
+      for (const [, account] of accounts) {
+        spy(account.name);
+      }
+    });
+
+    accounts.get("001").name = "Globex";
+
+    expect(spy).toHaveBeenLastCalledWith("Globex");
+  });
+
+  test("should track added and deleted properties", () => {
+    const filters = store({ status: "open" });
+    const keysSpy = jest.fn();
+    const hasSpy = jest.fn();
+
+    effect(() => {
+      keysSpy(Object.keys(filters));
+    });
+    effect(() => {
+      hasSpy("owner" in filters);
+    });
+
+    filters.owner = "me";
+
+    expect(keysSpy).toHaveBeenLastCalledWith(["status", "owner"]);
+    expect(hasSpy).toHaveBeenLastCalledWith(true);
+
+    delete filters.status;
+
+    expect(keysSpy).toHaveBeenLastCalledWith(["owner"]);
+    expect(hasSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test("should work with computed values", () => {
+    const cart = store({ lines: [{ price: 10, quantity: 1 }], coupon: null });
+    const total = computed(() =>
+      cart.lines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+    );
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(total.value);
+    });
+
+    cart.coupon = "SAVE10";
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    cart.lines[0].quantity = 3;
+    expect(spy).toHaveBeenLastCalledWith(30);
+  });
+
+  test("should find store items in arrays", () => {
+    const rows = store([{ id: 1 }, { id: 2 }]);
+    const second = rows[1];
+
+    expect(rows.indexOf(second)).toBe(1);
+    expect(rows.includes(second)).toBe(true);
+  });
+
+  test("should return the same proxy and expose the raw object", () => {
+    const raw = { nested: { value: 1 } };
+    const state = reactive(raw);
+
+    expect(reactive(raw)).toBe(state);
+    expect(state.nested).toBe(state.nested);
+    expect(toRaw(state)).toBe(raw);
+  });
+
+  test("should stay in sync with signals holding the same object", () => {
+    const raw = { name: "Acme", rating: "Warm" };
+    const account = signal(raw);
+    const state = store(raw);
+    const signalSpy = jest.fn();
+    const storeSpy = jest.fn();
+
+    effect(() => {
+      signalSpy(account.value.name);
+    });
+    effect(() => {
+      storeSpy(state.name);
+    });
+
+    state.name = "Globex";
+    expect(signalSpy).toHaveBeenLastCalledWith("Globex");
+
+    account.value.name = "Initech";
+    expect(storeSpy).toHaveBeenLastCalledWith("Initech");
+  });
+
+  test("should only re-render components reading the changed path", () => {
+    const user = store({ name: "Ada", settings: { theme: "dark" } });
+
+    class NameComponent extends WithSignals(MockLightningComponent) {}
+
+    const component = new NameComponent();
+    component.connectedCallback();
+    component.render();
+    user.name;
+    component.renderedCallback();
+
+    const timestamp = component.__updateTimestamp;
+
+    jest.advanceTimersByTime(10);
+    user.settings.theme = "light";
+
+    expect(component.__updateTimestamp).toBe(timestamp);
+
+    user.name = "Grace";
+
+    expect(component.__updateTimestamp).not.toBe(timestamp);
+  });
+});
+
+describe("Keyed Collections", () => {
+  const replay = (rows, changes) => {
+    const result = rows.slice();
+
+    for (const change of changes) {
+      if (change.type === "added") {
+        result.splice(change.index, 0, change.value);
+      } else if (change.type === "removed") {
+        result.splice(change.index, 1);
+      } else if (change.type === "updated") {
+        result[change.index] = change.value;
+      } else {
+        result.splice(change.to, 0, ...result.splice(change.from, 1));
+      }
+    }
+
+    return result;
+  };
+
+  test("should only re-run effects reading the changed index", () => {
+    const rows = signalArray(["a", "b", "c"]);
+    const firstSpy = jest.fn();
+    const lastSpy = jest.fn();
+
+    effect(() => {
+      firstSpy(rows.get(0));
+    });
+    effect(() => {
+      lastSpy(rows.get(2));
+    });
+
+    rows.set(2, "c2");
+
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(lastSpy).toHaveBeenCalledTimes(2);
+    expect(lastSpy).toHaveBeenLastCalledWith("c2");
+  });
+
+  test("should share keys between numeric and string indexes", () => {
+    const rows = signalArray(["a", "b"]);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(rows.get("0"));
+    });
+
+    rows.set(0, "a2");
+
+    expect(spy).toHaveBeenLastCalledWith("a2");
+
+    rows.set("0", "a3");
+
+    expect(spy).toHaveBeenLastCalledWith("a3");
+    expect(rows.toArray()).toEqual(["a3", "b"]);
+    expect(() => rows.set("x", "c")).toThrow(RangeError);
+  });
+
+  test("should describe sorting NaN values as valid moves", () => {
+    const rows = signalArray([2, NaN, 1]);
+    const before = rows.toArray();
+    const version = rows.version;
+
+    rows.sort((a, b) => (Number.isNaN(a) ? -1 : Number.isNaN(b) ? 1 : a - b));
+
+    const records = rows.changesSince(version);
+
+    expect(records.every(({ from }) => from >= 0)).toBe(true);
+    expect(replay(before, records)).toEqual([NaN, 1, 2]);
+  });
+
+  test("should notify shifted indexes and length on structural changes", () => {
+    const rows = signalArray(["a", "b", "c"]);
+    const firstSpy = jest.fn();
+    const secondSpy = jest.fn();
+    const lengthSpy = jest.fn();
+
+    effect(() => {
+      firstSpy(rows.get(0));
+    });
+    effect(() => {
+      secondSpy(rows.get(1));
+    });
+    effect(() => {
+      lengthSpy(rows.length);
+    });
+
+    rows.splice(1, 1);
+
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(secondSpy).toHaveBeenLastCalledWith("c");
+    expect(lengthSpy).toHaveBeenLastCalledWith(2);
+
+    rows.set(1, "c2");
+
+    expect(lengthSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test("should emit records that replay array mutations", () => {
+    const rows = signalArray([3, 1, 2]);
+    const before = rows.toArray();
+    const version = rows.version;
+
+    rows.push(5, 4);
+    rows.set(0, 6);
+    rows.move(4, 0);
+    rows.splice(2, 2, 7);
+    rows.sort((a, b) => a - b);
+    rows.shift();
+
+    expect(replay(before, rows.changesSince(version))).toEqual(rows.toArray());
+  });
+
+  test("should describe each mutation with change records", () => {
+    const rows = signalArray(["a", "b"]);
+    const listener = jest.fn();
+
+    rows.observe(listener);
+
+    rows.push("c");
+    rows.set(0, "a2");
+    rows.move(2, 0);
+    rows.pop();
+
+    expect(listener.mock.calls.map(([records]) => records)).toEqual([
+      [{ type: "added", index: 2, value: "c" }],
+      [{ type: "updated", index: 0, value: "a2", oldValue: "a" }],
+      [{ type: "moved", from: 2, to: 0, value: "c" }],
+      [{ type: "removed", index: 2, value: "b" }],
+    ]);
+  });
+
+  test("should let computeds apply changes incrementally", () => {
+    const rows = signalArray([
+      { id: 1, active: true },
+      { id: 2, active: false },
+    ]);
+    const predicate = jest.fn((row) => row.active);
+    let cursor = rows.version;
+    let active = rows.filter(predicate);
+
+    const activeIds = computed(() => {
+      const changes = rows.changesSince(cursor);
+      cursor = rows.version;
+
+      if (changes === null) {
+        active = rows.filter(predicate);
+      }
+
+      for (const change of changes ?? []) {
+        const previous = change.type === "updated" ? change.oldValue : null;
+
+        if (change.type === "removed" || previous) {
+          active = active.filter((row) => row !== (previous ?? change.value));
+        }
+        if ((change.type === "added" || previous) && predicate(change.value)) {
+          active = [...active, change.value];
+        }
+      }
+
+      return active.map((row) => row.id);
+    });
+
+    expect(activeIds.value).toEqual([1]);
+
+    predicate.mockClear();
+    rows.set(1, { id: 2, active: true });
+    rows.push({ id: 3, active: true });
+
+    expect(activeIds.value).toEqual([1, 2, 3]);
+    expect(predicate).toHaveBeenCalledTimes(2);
+
+    rows.shift();
+
+    expect(activeIds.value).toEqual([2, 3]);
+  });
+
+  test("should return null once changes are no longer retained", () => {
+    const rows = signalArray();
+    const version = rows.version;
+
+    for (let i = 0; i < 1001; i++) {
+      rows.push(i);
+    }
+
+    expect(rows.changesSince(version)).toBeNull();
+    expect(rows.changesSince(rows.version - 1)).toEqual([
+      { type: "added", index: 1000, value: 1000 },
+    ]);
+  });
+
+  test("should track map keys separately", () => {
+    const accounts = signalMap([["001", "Acme"]]);
+    const acmeSpy = jest.fn();
+    const globexSpy = jest.fn();
+    const sizeSpy = jest.fn();
+
+    effect(() => {
+      acmeSpy(accounts.get("001"));
+    });
+    effect(() => {
+      globexSpy(accounts.has("002"));
+    });
+    effect(() => {
+      sizeSpy(accounts.size);
+    });
+
+    accounts.set("002", "Globex");
+
+    expect(acmeSpy).toHaveBeenCalledTimes(1);
+    expect(globexSpy).toHaveBeenLastCalledWith(true);
+    expect(sizeSpy).toHaveBeenLastCalledWith(2);
+
+    accounts.set("001", "Acme Corp");
+
+    expect(acmeSpy).toHaveBeenLastCalledWith("Acme Corp");
+    expect(globexSpy).toHaveBeenCalledTimes(2);
+    expect(sizeSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test("should emit map change records", () => {
+    const accounts = signalMap([["001", "Acme"]]);
+    const version = accounts.version;
+
+    accounts.set("002", "Globex");
+    accounts.set("001", "Acme Corp");
+    accounts.set("001", "Acme Corp");
+    accounts.delete("002");
+    accounts.delete("003");
+
+    expect(accounts.changesSince(version)).toEqual([
+      { type: "added", key: "002", value: "Globex" },
+      { type: "updated", key: "001", value: "Acme Corp", oldValue: "Acme" },
+      { type: "removed", key: "002", value: "Globex" },
+    ]);
+    expect(Array.from(accounts)).toEqual([["001", "Acme Corp"]]);
+  });
+
+  test("should track set membership per value", () => {
+    const selected = signalSet(["001"]);
+    const firstSpy = jest.fn();
+    const secondSpy = jest.fn();
+    const listener = jest.fn();
+
+    selected.observe(listener);
+
+    effect(() => {
+      firstSpy(selected.has("001"));
+    });
+    effect(() => {
+      secondSpy(selected.has("002"));
+    });
+
+    selected.add("002");
+    selected.add("002");
+
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(secondSpy).toHaveBeenLastCalledWith(true);
+
+    selected.clear();
+
+    expect(firstSpy).toHaveBeenLastCalledWith(false);
+    expect(secondSpy).toHaveBeenLastCalledWith(false);
+    expect(listener.mock.calls.map(([records]) => records)).toEqual([
+      [{ type: "added", value: "002" }],
+      [
+        { type: "removed", value: "001" },
+        { type: "removed", value: "002" },
+      ],
+    ]);
+  });
+
+  test("should notify iteration readers on any change", () => {
+    const selected = signalSet();
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(Array.from(selected));
+    });
+
+    batch(() => {
+      selected.add("001");
+      selected.add("002");
+    });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenLastCalledWith(["001", "002"]);
+  });
+
+  test("should drop key dependencies once nothing reads them", () => {
+    const accounts = signalMap();
+    const observeKey = () => {
+      const hasAccount = computed(() => accounts.has("001"));
+      const dispose = effect(() => {
+        hasAccount.value;
+      });
+      const [dependency] = hasAccount._dependencies.keys();
+
+      return { dependency, dispose };
+    };
+
+    const first = observeKey();
+    first.dispose();
+
+    expect(first.dependency.subscribers.size).toBe(0);
+    expect(observeKey().dependency).not.toBe(first.dependency);
+  });
+
+  test("should keep computeds current after their key dependencies are dropped", () => {
+    const accounts = signalMap([["001", "Acme"]]);
+    const name = computed(() => accounts.get("001"));
+    const dispose = effect(() => {
+      name.value;
+    });
+
+    dispose();
+    accounts.set("001", "Acme Corp");
+
+    expect(name.value).toBe("Acme Corp");
+
+    const readerSpy = jest.fn();
+    const nameSpy = jest.fn();
+
+    effect(() => {
+      readerSpy(accounts.get("001"));
+    });
+    effect(() => {
+      nameSpy(name.value);
+    });
+    accounts.set("001", "Globex");
+
+    expect(readerSpy).toHaveBeenLastCalledWith("Globex");
+    expect(nameSpy).toHaveBeenLastCalledWith("Globex");
+  });
+
+  test("should notify computeds observed again after their key was dropped", () => {
+    const accounts = signalMap([["001", "Acme"]]);
+    const name = computed(() => accounts.get("001"));
+    const dispose = effect(() => {
+      name.value;
+    });
+    const spy = jest.fn();
+
+    dispose();
+    effect(() => {
+      accounts.get("001");
+    });
+    effect(() => {
+      spy(name.value);
+    });
+    accounts.set("001", "Globex");
+
+    expect(spy).toHaveBeenLastCalledWith("Globex");
+  });
+});
+
+describe("Selector", () => {
+  class MockLightningComponent {
+    connectedCallback() {}
+    disconnectedCallback() {}
+    renderedCallback() {}
+    render() {}
+  }
+
+  test("should only notify the previously and newly selected keys", () => {
+    const selectedId = signal("a");
+    const isSelected = createSelector(selectedId);
+    const spies = { a: jest.fn(), b: jest.fn(), c: jest.fn() };
+
+    Object.entries(spies).forEach(([id, spy]) => {
+      effect(() => {
+        spy(isSelected(id));
+      });
+    });
+
+    selectedId.value = "b";
+
+    expect(spies.a).toHaveBeenCalledTimes(2);
+    expect(spies.a).toHaveBeenLastCalledWith(false);
+    expect(spies.b).toHaveBeenCalledTimes(2);
+    expect(spies.b).toHaveBeenLastCalledWith(true);
+    expect(spies.c).toHaveBeenCalledTimes(1);
+  });
+
+  test("should work with computed sources", () => {
+    const rows = signal([{ id: "a" }, { id: "b" }]);
+    const selectedIndex = signal(0);
+    const isSelected = createSelector(
+      computed(() => rows.value[selectedIndex.value]?.id),
+    );
+    const selected = computed(() => isSelected("b"));
+
+    expect(selected.value).toBe(false);
+
+    selectedIndex.value = 1;
+
+    expect(selected.value).toBe(true);
+  });
+
+  test("should read the current selection inside a batch", () => {
+    const selectedId = signal("a");
+    const isSelected = createSelector(selectedId);
+
+    batch(() => {
+      selectedId.value = "b";
+
+      expect(isSelected("b")).toBe(true);
+    });
+  });
+
+  test("should stop notifying after dispose", () => {
+    const selectedId = signal("a");
+    const isSelected = createSelector(selectedId);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(isSelected("b"));
+    });
+
+    isSelected.dispose();
+    selectedId.value = "b";
+
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test("should only re-render the rows whose selection changed", () => {
+    const selectedId = signal("a");
+    const isSelected = createSelector(selectedId);
+
+    class RowComponent extends WithSignals(MockLightningComponent) {
+      constructor(rowId) {
+        super();
+        this.rowId = rowId;
+      }
+    }
+
+    const rows = ["a", "b", "c"].map((rowId) => {
+      const row = new RowComponent(rowId);
+      row.connectedCallback();
+      row.render();
+      isSelected(row.rowId);
+      row.renderedCallback();
+
+      return row;
+    });
+    const timestamps = rows.map((row) => row.__updateTimestamp);
+
+    jest.advanceTimersByTime(10);
+    selectedId.value = "c";
+
+    expect(rows[0].__updateTimestamp).not.toBe(timestamps[0]);
+    expect(rows[1].__updateTimestamp).toBe(timestamps[1]);
+    expect(rows[2].__updateTimestamp).not.toBe(timestamps[2]);
+  });
+
+  test("should drop the keys of rows that disconnect", () => {
+    const selectedId = signal(null);
+    const isSelected = createSelector(selectedId);
+
+    class RowComponent extends WithSignals(MockLightningComponent) {}
+
+    const renderRow = (rowId) => {
+      const row = new RowComponent();
+      row.connectedCallback();
+      row.render();
+      isSelected(rowId);
+      row.renderedCallback();
+
+      const [dependency] = row.__effectInstance._dependencies.keys();
+
+      return { row, dependency };
+    };
+
+    const first = renderRow("a");
+    first.row.disconnectedCallback();
+
+    expect(first.dependency.subscribers.size).toBe(0);
+    expect(renderRow("a").dependency).not.toBe(first.dependency);
   });
 });
 
@@ -1,6 +1,5 @@
 let effectsStack = [];
 let batchDepth = 0;
-let batchSignalsToNotify = new Set();
 
 const ARRAY_MUTATING_METHODS = new Set([
   "push",
@@ -11,311 +10,3716 @@ const ARRAY_MUTATING_METHODS = new Set([
   "sort",
   "reverse",
 ]);
+const ARRAY_REMOVING_METHODS = new Set(["pop", "splice", "shift"]);
 const SET_MUTATING_METHODS = new Set(["add", "delete", "clear"]);
 const MAP_MUTATING_METHODS = new Set(["set", "delete", "clear"]);
 const DATE_MUTATING_METHODS_PREFIX = "set";
 const TYPED_ARRAY_MUTATING_METHOD = "set";
 
+const rawObjects = new WeakSet();
+
 const isMutableType = (obj) =>
   obj !== null &&
   typeof obj === "object" &&
   !(obj instanceof WeakMap) &&
-  !(obj instanceof WeakSet);
+  !(obj instanceof WeakSet) &&
+  !rawObjects.has(obj);
+
+const didMutate = (target, method, beforeSize) => {
+  if (Array.isArray(target)) {
+    return ARRAY_MUTATING_METHODS.has(method);
+  }
+
+  if (target instanceof Set) {
+    return beforeSize !== target.size || SET_MUTATING_METHODS.has(method);
+  }
+
+  if (target instanceof Map) {
+    return beforeSize !== target.size || MAP_MUTATING_METHODS.has(method);
+  }
+
+  if (target instanceof Date) {
+    return method.startsWith(DATE_MUTATING_METHODS_PREFIX);
+  }
+
+  if (ArrayBuffer.isView(target)) {
+    return method === TYPED_ARRAY_MUTATING_METHOD;
+  }
+
+  return true;
+};
+
+const reactiveCache = new WeakMap();
+const rawCache = new WeakMap();
+const reactiveOwners = new WeakMap();
+
+const toRawValue = (value) => rawCache.get(value) ?? value;
+
+// Every raw object has a single proxy. Instead of baking a notify function
+// into it, each raw object keeps track of its owners: the signals holding it as
+// their value and the objects it is nested in. Owners are registered for the
+// whole tree as soon as a value enters a signal or a proxy, so a write to a
+// nested object reaches every signal holding it even when nothing read that
+// path. They are dropped as soon as a write replaces or removes the object, so
+// a long-lived object never keeps signals that held it in the past alive.
+const addOwner = (value, owner) => {
+  const raw = toRawValue(value);
+
+  if (!isMutableType(raw)) {
+    return;
+  }
+
+  let owners = reactiveOwners.get(raw);
+
+  if (owners == null) {
+    owners = new Set();
+    reactiveOwners.set(raw, owners);
+  }
+
+  // An object that already has an owner already owns its children.
+  const isNewlyOwned = owners.size === 0;
+
+  owners.add(owner);
+
+  if (isNewlyOwned) {
+    childValues(raw).forEach((child) => addOwner(child, raw));
+  }
+};
+
+// Only containers are walked: class instances are left to their own getters.
+const childValues = (raw) => {
+  if (raw instanceof Map) {
+    return Array.from(raw.values());
+  }
+
+  if (raw instanceof Set) {
+    return Array.from(raw);
+  }
+
+  return Array.isArray(raw) || isPlainObject(raw) ? Object.values(raw) : [];
+};
+
+const holdsValue = (owner, raw) => {
+  if (owner instanceof Signal) {
+    return toRawValue(owner._value) === raw;
+  }
+
+  if (owner instanceof Set) {
+    return owner.has(raw) || owner.has(reactiveCache.get(raw));
+  }
+
+  const values = owner instanceof Map ? owner.values() : Object.values(owner);
+
+  for (const value of values) {
+    if (toRawValue(value) === raw) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const heldValues = (owner) => {
+  if (owner instanceof Signal) {
+    return [owner._value];
+  }
+
+  if (owner instanceof Set) {
+    return Array.from(owner);
+  }
+
+  return owner instanceof Map
+    ? Array.from(owner.values())
+    : Object.values(owner);
+};
+
+// Drops the owner of values that were replaced or removed, unless it still
+// holds them under another key or index.
+const releaseOwner = (values, owner) => {
+  const released = values.filter((value) =>
+    reactiveOwners.get(toRawValue(value))?.has(owner),
+  );
+
+  if (released.length === 0) {
+    return;
+  }
+
+  const held = new Set(heldValues(owner).map(toRawValue));
+
+  for (const value of released) {
+    const raw = toRawValue(value);
+
+    if (!held.has(raw)) {
+      reactiveOwners.get(raw).delete(owner);
+    }
+  }
+};
+
+// Reads the values a mutating method may remove before it runs.
+const removableValues = (target, method, args) => {
+  if (target instanceof Map) {
+    if (method === "clear") {
+      return Array.from(target.values());
+    }
+
+    return method === "set" || method === "delete" ? [target.get(args[0])] : [];
+  }
+
+  if (target instanceof Set) {
+    if (method === "clear") {
+      return Array.from(target);
+    }
+
+    return method === "delete" ? [args[0]] : [];
+  }
+
+  return Array.isArray(target) && ARRAY_REMOVING_METHODS.has(method)
+    ? target.slice()
+    : [];
+};
+
+// Values removed from or replaced in an object by writing a property.
+const overwrittenValues = (target, prop, newValue) =>
+  Array.isArray(target) && prop === "length"
+    ? target.slice(newValue)
+    : [target[prop]];
+
+const collectOwnerSignals = (raw, signals, visited = new Set()) => {
+  if (visited.has(raw)) {
+    return signals;
+  }
+
+  visited.add(raw);
+
+  const owners = reactiveOwners.get(raw);
+
+  for (const owner of owners ?? []) {
+    if (!holdsValue(owner, raw)) {
+      owners.delete(owner);
+    } else if (owner instanceof Signal) {
+      signals.add(owner);
+    } else {
+      collectOwnerSignals(owner, signals, visited);
+    }
+  }
+
+  return signals;
+};
+
+const notifySignals = (signals) => {
+  if (signals.size === 1) {
+    signals.values().next().value.notify();
+  } else if (signals.size > 1) {
+    batch(() => signals.forEach((signalInstance) => signalInstance.notify()));
+  }
+};
+
+const notifyOwners = (raw) =>
+  notifySignals(collectOwnerSignals(raw, new Set()));
+
+const makeReactive = (obj, owner) => {
+  if (!isMutableType(obj)) {
+    return obj;
+  }
+
+  addOwner(obj, owner);
+
+  if (reactiveCache.has(obj) || rawCache.has(obj)) {
+    return reactiveCache.get(obj) ?? obj;
+  }
+
+  const reactiveChild = (target, value) =>
+    isMutableType(value) ? makeReactive(value, target) : value;
+
+  // Only results still held by the collection (such as map.get() or
+  // array.find()) are made reactive; copies and iterators are returned as is.
+  const methodResult = (target, prop, result) => {
+    if (result === target) {
+      return reactiveCache.get(target);
+    }
+
+    const isHeld =
+      (target instanceof Map && prop === "get") ||
+      (Array.isArray(target) &&
+        isMutableType(result) &&
+        holdsValue(target, result));
+
+    return isHeld ? reactiveChild(target, result) : result;
+  };
+
+  const proxy = new Proxy(obj, {
+    get: (target, prop) => {
+      const value = target[prop];
+
+      if (typeof value === "function") {
+        return (...args) => {
+          const beforeSize = target.size ?? target.length ?? null;
+          const rawArgs = args.map(toRawValue);
+          const removable = removableValues(target, prop, rawArgs);
+          const result = value.apply(target, rawArgs);
+
+          if (didMutate(target, prop, beforeSize)) {
+            releaseOwner(removable, target);
+            rawArgs.forEach((arg) => addOwner(arg, target));
+            triggerAllKeys(target);
+            notifyOwners(target);
+          }
+
+          return methodResult(target, prop, result);
+        };
+      }
+
+      return reactiveChild(target, value);
+    },
+    set: (target, prop, value) => {
+      const rawValue = toRawValue(value);
+
+      if (target[prop] !== rawValue) {
+        const overwritten = overwrittenValues(target, prop, rawValue);
+
+        target[prop] = rawValue;
+        releaseOwner(overwritten, target);
+        addOwner(rawValue, target);
+
+        triggerAllKeys(target);
+        notifyOwners(target);
+      }
+      return true;
+    },
+    deleteProperty: (target, prop) => {
+      if (prop in target) {
+        const deleted = target[prop];
+
+        delete target[prop];
+        releaseOwner([deleted], target);
+
+        triggerAllKeys(target);
+        notifyOwners(target);
+      }
+      return true;
+    },
+  });
+
+  reactiveCache.set(obj, proxy);
+  rawCache.set(proxy, obj);
+
+  return proxy;
+};
+
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+
+let globalVersion = 0;
+let pendingEffects = [];
+let flushing = false;
+let unhandledErrors = null;
+let globalErrorHandler = null;
+let flushId = 0;
+const propagationPath = [];
+let pendingCycleError = null;
+
+let devMode = false;
+let maxEffectRuns = 100;
+let defaultScheduler = "sync";
+
+const scheduledEffects = new Map();
+
+const SCHEDULERS = {
+  sync: null,
+  microtask: (callback) => {
+    if (typeof queueMicrotask === "function") {
+      queueMicrotask(callback);
+    } else {
+      Promise.resolve().then(callback);
+    }
+  },
+  animationFrame: (callback) => {
+    if (typeof requestAnimationFrame === "function") {
+      requestAnimationFrame(callback);
+    } else {
+      setTimeout(callback, 16);
+    }
+  },
+};
+
+const resolveScheduler = (scheduler) => {
+  if (typeof scheduler === "function") {
+    return scheduler;
+  }
+
+  if (!(scheduler in SCHEDULERS)) {
+    throw new Error(`Unknown scheduler: ${scheduler}`);
+  }
+
+  return SCHEDULERS[scheduler];
+};
+
+const describeNode = (node) => `${node._kind}(${node._name ?? "anonymous"})`;
+
+const createCycleError = (chain) =>
+  new Error(`Cycle detected: ${chain.map(describeNode).join(" -> ")}`);
+
+const currentObserver = () =>
+  effectsStack.length > 0 ? effectsStack[effectsStack.length - 1] : null;
+
+const startTracking = (observer) => {
+  observer._previousDependencies = observer._dependencies;
+  observer._dependencies = new Map();
+
+  effectsStack.push(observer);
+};
+
+const endTracking = (observer) => {
+  const index = effectsStack.lastIndexOf(observer);
+
+  if (index !== -1) {
+    effectsStack.splice(index, 1);
+  }
+
+  const previousDependencies = observer._previousDependencies;
+  observer._previousDependencies = null;
+
+  if (previousDependencies == null) {
+    return;
+  }
+
+  for (const signalInstance of previousDependencies.keys()) {
+    if (!observer._dependencies.has(signalInstance)) {
+      signalInstance._removeSubscriber(observer);
+    }
+  }
+};
+
+// Pulls every computed dependency up to date (in the order they were read)
+// and reports whether any of them moved past the version last seen.
+const dependenciesChanged = (observer) => {
+  for (const [signalInstance, version] of observer._dependencies) {
+    signalInstance._refresh();
+
+    if (signalInstance._version !== version) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Errors go to the effect's own onError, then to its component, then to the
+// global handler. Unhandled errors are rethrown once the flush has finished so
+// a failing effect never prevents the remaining ones from running.
+const reportError = (error, effectInstance) => {
+  const handler =
+    effectInstance?._onError ??
+    effectInstance?._scope?._getErrorHandler() ??
+    globalErrorHandler;
+
+  if (handler == null) {
+    if (unhandledErrors == null) {
+      throw error;
+    }
+
+    unhandledErrors.push(error);
+    return;
+  }
+
+  try {
+    handler(error);
+  } catch (e) {
+    console.error(e);
+  }
+};
+
+const flushEffects = () => {
+  if (flushing) {
+    return;
+  }
+
+  const errors = [];
+
+  flushing = true;
+  unhandledErrors = errors;
+  flushId += 1;
+
+  try {
+    while (pendingEffects.length > 0) {
+      const effectsToFlush = pendingEffects;
+      pendingEffects = [];
+
+      for (const effectInstance of effectsToFlush) {
+        try {
+          effectInstance._flush();
+        } catch (e) {
+          reportError(e, effectInstance);
+        }
+      }
+    }
+  } finally {
+    flushing = false;
+    unhandledErrors = null;
+  }
+
+  if (errors.length > 0) {
+    errors.slice(1).forEach((error) => console.error(error));
+
+    throw errors[0];
+  }
+};
+
+const runScheduledEffects = (scheduler) => {
+  const effectsToRun = scheduledEffects.get(scheduler);
+
+  if (effectsToRun == null) {
+    return;
+  }
+
+  scheduledEffects.delete(scheduler);
+  pendingEffects.push(...effectsToRun);
+
+  if (batchDepth === 0) {
+    flushEffects();
+  }
+};
+
+const defaultEquals = (a, b) => a === b;
+
+const resolveEquals = (equals) => {
+  if (equals === false) {
+    return () => false;
+  }
+
+  return equals ?? defaultEquals;
+};
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+
+  return prototype === Object.prototype || prototype === null;
+};
+
+const compareStructure = (a, b, compareItems) => {
+  if (Object.is(a, b)) {
+    return true;
+  }
+
+  if (
+    a === null ||
+    b === null ||
+    typeof a !== "object" ||
+    typeof b !== "object" ||
+    Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)
+  ) {
+    return false;
+  }
+
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  if (Array.isArray(a) || ArrayBuffer.isView(a)) {
+    return (
+      a.length === b.length &&
+      Array.prototype.every.call(a, (item, index) =>
+        compareItems(item, b[index]),
+      )
+    );
+  }
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) {
+      return false;
+    }
+
+    for (const [key, item] of a) {
+      if (!b.has(key) || !compareItems(item, b.get(key))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) {
+      return false;
+    }
+
+    for (const item of a) {
+      if (
+        !b.has(item) &&
+        !Array.from(b).some((other) => compareItems(item, other))
+      ) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  if (!isPlainObject(a)) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(b, key) &&
+        compareItems(a[key], b[key]),
+    )
+  );
+};
+
+export function shallowEqual(a, b) {
+  return compareStructure(toRawValue(a), toRawValue(b), Object.is);
+}
+
+export function deepEqual(a, b) {
+  const seen = new WeakMap();
+
+  const compare = (x, y) => {
+    if (x !== null && typeof x === "object") {
+      if (seen.get(x) === y) {
+        return true;
+      }
+
+      seen.set(x, y);
+    }
+
+    return compareStructure(x, y, compare);
+  };
+
+  return compare(toRawValue(a), toRawValue(b));
+}
+
+class SignalBaseClass {
+  _kind = "signal";
+  _name;
+
+  constructor(options) {
+    this.subscribers = new Set();
+    this._version = 0;
+    this._name = options?.name;
+  }
+
+  subscribe(onUpdate) {
+    let initialized = false;
+
+    const subscription = new Effect(
+      () => {
+        this._track();
+
+        if (initialized) {
+          untracked(onUpdate);
+        }
+
+        initialized = true;
+      },
+      { name: onUpdate.name || "subscriber", scheduler: "sync" },
+    );
+
+    subscription._run();
+
+    return () => {
+      subscription._dispose();
+    };
+  }
+
+  _track() {
+    currentObserver()?._addDependency(this);
+  }
+
+  _refresh() {}
+
+  _addSubscriber(observer) {
+    this.subscribers.add(observer);
+  }
+
+  _removeSubscriber(observer) {
+    return this.subscribers.delete(observer);
+  }
+
+  _change() {
+    this._version += 1;
+    globalVersion += 1;
+    this._propagate(DIRTY);
+
+    if (pendingCycleError != null) {
+      const cycleError = pendingCycleError;
+      pendingCycleError = null;
+
+      throw cycleError;
+    }
+
+    if (batchDepth === 0) {
+      flushEffects();
+    }
+  }
+
+  _propagate(state) {
+    if (devMode) {
+      propagationPath.push(this);
+    }
+
+    try {
+      for (const subscriber of this.subscribers) {
+        subscriber._notify(state);
+      }
+    } finally {
+      if (devMode) {
+        propagationPath.pop();
+      }
+    }
+  }
+}
+
+let activeScope = null;
+let connectingContext = null;
+
+// Plain effect() and computed() calls made while a component is connecting
+// (in its connectedCallback, up to its render) belong to its connection scope.
+// Nothing is adopted before the component is actually connected, so effects
+// that shared modules create from class fields are left alone.
+const currentScope = () =>
+  activeScope ??
+  (connectingContext?._component.isConnected
+    ? connectingContext._connectionScope
+    : null);
+
+class EffectScope {
+  _parent;
+  _effects;
+  _computeds;
+  _scopes;
+  _active;
+  _paused;
+
+  constructor(detached) {
+    this._parent = detached ? null : currentScope();
+    this._effects = new Set();
+    this._computeds = new Set();
+    this._scopes = new Set();
+    this._active = true;
+    this._paused = false;
+
+    this._parent?._scopes.add(this);
+  }
+
+  get active() {
+    return this._active;
+  }
+
+  get paused() {
+    return this._paused;
+  }
+
+  run(callback) {
+    if (!this._active) {
+      return undefined;
+    }
+
+    const previousScope = activeScope;
+    activeScope = this;
+
+    try {
+      return callback();
+    } finally {
+      activeScope = previousScope;
+    }
+  }
+
+  stop() {
+    if (!this._active) {
+      return;
+    }
+
+    this._active = false;
+
+    for (const effectInstance of this._effects) {
+      try {
+        effectInstance._dispose();
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    for (const computedInstance of this._computeds) {
+      computedInstance._dispose();
+    }
+
+    for (const scope of this._scopes) {
+      scope.stop();
+    }
+
+    this._effects.clear();
+    this._computeds.clear();
+    this._scopes.clear();
+
+    this._parent?._scopes.delete(this);
+  }
+
+  pause() {
+    if (!this._active || this._paused) {
+      return;
+    }
+
+    this._paused = true;
+
+    for (const effectInstance of this._effects) {
+      effectInstance._paused = true;
+    }
+
+    for (const scope of this._scopes) {
+      scope.pause();
+    }
+  }
+
+  resume() {
+    if (!this._active || !this._paused) {
+      return;
+    }
+
+    batch(() => {
+      this._paused = false;
+
+      for (const effectInstance of this._effects) {
+        effectInstance._resume();
+      }
+
+      for (const scope of this._scopes) {
+        scope.resume();
+      }
+    });
+  }
+
+  _add(node) {
+    if (node instanceof ComputedSignal) {
+      this._computeds.add(node);
+    } else {
+      this._effects.add(node);
+      node._paused = this._paused;
+    }
+
+    node._scope = this;
+  }
+
+  _suspend() {
+    for (const effectInstance of this._effects) {
+      effectInstance._suspend();
+    }
+
+    for (const scope of this._scopes) {
+      scope._suspend();
+    }
+  }
+
+  _restore() {
+    batch(() => {
+      for (const effectInstance of this._effects) {
+        effectInstance._restore();
+      }
+
+      for (const scope of this._scopes) {
+        scope._restore();
+      }
+    });
+  }
+
+  _getErrorHandler() {
+    return this._parent?._getErrorHandler() ?? null;
+  }
+}
+
+// Effects and computeds created through this.effect(), this.computed() or
+// this.own() while the component is being set up (constructor and class
+// fields) are suspended on disconnect and restored on reconnect. Anything
+// created once the component is connected lives in the connection scope, which
+// is stopped on disconnect because connectedCallback creates it again.
+class ComponentContext extends EffectScope {
+  _component;
+  _connectionScope;
+  _setupComplete;
+  _connected;
+
+  constructor(component) {
+    super(true);
+
+    this._component = component;
+    this._setupComplete = false;
+    this._connected = true;
+    this._connectionScope = this._createConnectionScope();
+  }
+
+  _own(callback) {
+    return this._ownerScope().run(callback);
+  }
+
+  _ownerScope() {
+    return this._setupComplete ? this._connectionScope : this;
+  }
+
+  _createConnectionScope() {
+    return this.run(() => new EffectScope());
+  }
+
+  _connect() {
+    this._setupComplete = true;
+
+    if (this._connected) {
+      return false;
+    }
+
+    this._connected = true;
+    this._restore();
+    this._connectionScope = this._createConnectionScope();
+
+    return true;
+  }
+
+  _disconnect() {
+    if (!this._connected) {
+      return;
+    }
+
+    this._setupComplete = true;
+    this._connected = false;
+    this._connectionScope.stop();
+    this._suspend();
+  }
+
+  _getErrorHandler() {
+    const component = this._component;
+
+    if (typeof component.errorCallback !== "function") {
+      return null;
+    }
+
+    return (error) => component.errorCallback(error, error?.stack);
+  }
+}
+
+class Effect {
+  _kind = "effect";
+  _name;
+  _callback;
+  _callbackCleanup;
+  _onError;
+  _scheduler;
+  _scope;
+  _dependencies;
+  _previousDependencies;
+  _state;
+  _running;
+  _paused;
+  _suspended;
+  _disposed;
+  _runCount;
+  _lastFlushId;
+
+  constructor(callback, options) {
+    this._callback = callback;
+    this._name = options?.name ?? (callback?.name || undefined);
+    this._onError = options?.onError;
+    this._scheduler = options?.scheduler;
+    this._running = false;
+    this._paused = false;
+    this._suspended = false;
+    this._dependencies = new Map();
+    this._state = CLEAN;
+    this._disposed = false;
+    this._runCount = 0;
+    this._lastFlushId = null;
+  }
+
+  _notify(state) {
+    if (this._disposed || this._suspended) {
+      return;
+    }
+
+    if (devMode && this._running) {
+      pendingCycleError ??= createCycleError([
+        this,
+        ...propagationPath.slice().reverse(),
+        this,
+      ]);
+      return;
+    }
+
+    if (this._state === CLEAN && !this._paused) {
+      this._schedule();
+    }
+
+    if (state > this._state) {
+      this._state = state;
+    }
+  }
+
+  _schedule() {
+    // Runs are counted per chain: the count only carries over when the effect
+    // is scheduled again by its own run or by the flush it just ran in, which
+    // also catches deferred effects that keep scheduling themselves.
+    if (!this._running && !(flushing && this._lastFlushId === flushId)) {
+      this._runCount = 0;
+    }
+
+    const scheduler = resolveScheduler(this._scheduler ?? defaultScheduler);
+
+    if (scheduler == null) {
+      pendingEffects.push(this);
+      return;
+    }
+
+    let effectsToRun = scheduledEffects.get(scheduler);
+
+    if (effectsToRun == null) {
+      effectsToRun = [];
+      scheduledEffects.set(scheduler, effectsToRun);
+
+      scheduler(() => runScheduledEffects(scheduler));
+    }
+
+    effectsToRun.push(this);
+  }
+
+  _flush() {
+    if (this._state === CLEAN || this._paused) {
+      return;
+    }
+
+    if (this._state === DIRTY || dependenciesChanged(this)) {
+      this._run();
+    } else {
+      this._state = CLEAN;
+    }
+  }
+
+  _run() {
+    if (this._disposed || this._suspended) {
+      return;
+    }
+
+    this._state = CLEAN;
+    this._countRun();
+    this._callbackCleanup?.();
+
+    startTracking(this);
+    this._running = true;
+
+    try {
+      this._callbackCleanup = this._callback?.();
+    } finally {
+      this._running = false;
+      endTracking(this);
+    }
+  }
+
+  _resume() {
+    this._paused = false;
+
+    if (this._state !== CLEAN) {
+      this._schedule();
+    }
+  }
+
+  _countRun() {
+    if (!flushing) {
+      return;
+    }
+
+    this._runCount += 1;
+    this._lastFlushId = flushId;
+
+    if (this._runCount > maxEffectRuns) {
+      throw new Error(
+        `Infinite update detected: ${describeNode(this)} ran more than ${maxEffectRuns} times in a row. ` +
+          "Check whether it writes to a signal it depends on.",
+      );
+    }
+  }
+
+  _addDependency(signalInstance) {
+    if (this._disposed || this._suspended) {
+      return;
+    }
+
+    this._dependencies.set(signalInstance, signalInstance._version);
+    signalInstance._addSubscriber(this);
+  }
+
+  _suspend() {
+    if (this._disposed || this._suspended) {
+      return;
+    }
+
+    this._suspended = true;
+    this._release();
+  }
+
+  _restore() {
+    if (this._disposed || !this._suspended) {
+      return;
+    }
+
+    this._suspended = false;
+
+    try {
+      this._run();
+    } catch (e) {
+      reportError(e, this);
+    }
+  }
+
+  _dispose() {
+    if (this._disposed) {
+      return;
+    }
+
+    this._disposed = true;
+    this._scope?._effects.delete(this);
+
+    this._release();
+  }
+
+  _release() {
+    this._state = CLEAN;
+
+    this._callbackCleanup?.();
+    this._callbackCleanup = null;
+
+    for (const signalInstance of this._dependencies.keys()) {
+      try {
+        signalInstance._removeSubscriber(this);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    this._dependencies.clear();
+  }
+}
+
+// Tracks the signals read between a component's render() and its
+// renderedCallback(). The tracking window is closed by the component itself,
+// by a render of the same component, by an enclosing render that finishes, or
+// at the latest on the next microtask, so a render that throws or never
+// reaches renderedCallback cannot leave the effects stack unbalanced.
+class RenderEffect extends Effect {
+  _rendering = false;
+
+  _run() {
+    if (!this._disposed && !this._suspended) {
+      this._state = CLEAN;
+      this._countRun();
+      this._callback();
+    }
+  }
+
+  _startRender() {
+    this._endRender();
+
+    startTracking(this);
+    this._rendering = true;
+
+    SCHEDULERS.microtask(() => this._endRender());
+  }
+
+  _endRender() {
+    if (!this._rendering) {
+      return;
+    }
+
+    const index = effectsStack.lastIndexOf(this);
+    const nestedObservers = index === -1 ? [] : effectsStack.slice(index + 1);
+
+    for (const observer of nestedObservers.reverse()) {
+      if (observer instanceof RenderEffect) {
+        observer._endRender();
+      }
+    }
+
+    this._rendering = false;
+    endTracking(this);
+  }
+}
+
+const cloneValue = (value) => {
+  const raw = toRawValue(value);
+
+  if (rawObjects.has(raw)) {
+    return raw;
+  }
+
+  if (Array.isArray(raw)) {
+    return raw.map(cloneValue);
+  }
+
+  if (raw instanceof Map) {
+    return new Map(Array.from(raw, ([key, item]) => [key, cloneValue(item)]));
+  }
+
+  if (raw instanceof Set) {
+    return new Set(Array.from(raw, cloneValue));
+  }
+
+  if (raw instanceof Date) {
+    return new Date(raw.getTime());
+  }
+
+  if (isPlainObject(raw)) {
+    return Object.fromEntries(
+      Object.entries(raw).map(([key, item]) => [key, cloneValue(item)]),
+    );
+  }
+
+  return raw;
+};
+
+const escapePointerSegment = (segment) =>
+  String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+
+const toPointer = (path) =>
+  path.map((segment) => `/${escapePointerSegment(segment)}`).join("");
+
+const fromPointer = (pointer) =>
+  pointer === ""
+    ? []
+    : pointer
+        .slice(1)
+        .split("/")
+        .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+// Drafts write straight to the raw value and record a JSON Patch operation and
+// its inverse for every change. Arrays are diffed after each mutation, while
+// Sets and Dates are replaced as a whole. Drafts are cached by path, so the
+// draft of an array item always reflects its current index. Each target is
+// also snapshotted before its first change, so revert() restores the original
+// keys and references instead of going through the patches.
+const createDraft = (root, recorder) => {
+  const drafts = new Map();
+  const rawDrafts = new WeakMap();
+  const restores = new Map();
+
+  const unwrap = (value) => rawDrafts.get(value) ?? toRawValue(value);
+
+  const snapshot = (target) => {
+    if (restores.has(target)) {
+      return;
+    }
+
+    if (Array.isArray(target)) {
+      const items = target.slice();
+      restores.set(target, () => target.splice(0, target.length, ...items));
+    } else if (target instanceof Map) {
+      const entries = Array.from(target);
+      restores.set(target, () => {
+        target.clear();
+        entries.forEach(([key, value]) => target.set(key, value));
+      });
+    } else if (target instanceof Set) {
+      const values = Array.from(target);
+      restores.set(target, () => {
+        target.clear();
+        values.forEach((value) => target.add(value));
+      });
+    } else if (target instanceof Date) {
+      const time = target.getTime();
+      restores.set(target, () => target.setTime(time));
+    } else {
+      const descriptors = Object.getOwnPropertyDescriptors(target);
+      restores.set(target, () => {
+        Reflect.ownKeys(target).forEach((key) => delete target[key]);
+        Object.defineProperties(target, descriptors);
+      });
+    }
+  };
+
+  // Restored values are owned by their target again.
+  const restoreOwners = (target) => {
+    if (!(target instanceof Date)) {
+      heldValues(target).forEach((value) => addOwner(value, target));
+    }
+  };
+
+  const revert = () => {
+    restores.forEach((restore, target) => {
+      restore();
+      restoreOwners(target);
+    });
+    restores.clear();
+  };
+
+  const record = (target, patches, inversePatches) => {
+    recorder.targets.add(target);
+    recorder.patches.push(...patches);
+    recorder.inversePatches.unshift(...inversePatches);
+  };
+
+  const replaced = (path, before, after) =>
+    record(
+      after,
+      [{ op: "replace", path: toPointer(path), value: cloneValue(after) }],
+      [{ op: "replace", path: toPointer(path), value: before }],
+    );
+
+  const diffArray = (path, before, after) => {
+    const patches = [];
+    const inversePatches = [];
+    const pointer = (index) => toPointer([...path, index]);
+
+    for (let i = 0; i < Math.min(before.length, after.length); i++) {
+      if (before[i] !== after[i]) {
+        patches.push({
+          op: "replace",
+          path: pointer(i),
+          value: cloneValue(after[i]),
+        });
+        inversePatches.push({
+          op: "replace",
+          path: pointer(i),
+          value: cloneValue(before[i]),
+        });
+      }
+    }
+
+    for (let i = before.length; i < after.length; i++) {
+      patches.push({
+        op: "add",
+        path: pointer(i),
+        value: cloneValue(after[i]),
+      });
+    }
+
+    for (let i = after.length - 1; i >= before.length; i--) {
+      inversePatches.push({ op: "remove", path: pointer(i) });
+    }
+
+    for (let i = before.length - 1; i >= after.length; i--) {
+      patches.push({ op: "remove", path: pointer(i) });
+    }
+
+    for (let i = after.length; i < before.length; i++) {
+      inversePatches.push({
+        op: "add",
+        path: pointer(i),
+        value: cloneValue(before[i]),
+      });
+    }
+
+    record(after, patches, inversePatches);
+  };
+
+  const mutate = (target, path, mutation) => {
+    snapshot(target);
+
+    if (Array.isArray(target)) {
+      const before = target.slice();
+      const result = mutation();
+
+      diffArray(path, before, target);
+      releaseOwner(before, target);
+
+      return result;
+    }
+
+    if (target instanceof Set || target instanceof Date) {
+      const before = cloneValue(target);
+      const removable = target instanceof Set ? Array.from(target) : [];
+      const result = mutation();
+
+      releaseOwner(removable, target);
+
+      if (!deepEqual(before, target)) {
+        replaced(path, before, target);
+      }
+
+      return result;
+    }
+
+    return mutation();
+  };
+
+  const mapMethod = (target, path, method) => (key, value) => {
+    const pointer = toPointer([...path, key]);
+    const existed = target.has(key);
+    const before = cloneValue(target.get(key));
+
+    if (method === "set") {
+      const newValue = unwrap(value);
+
+      if (existed && target.get(key) === newValue) {
+        return draftOf(target, path);
+      }
+
+      const previous = target.get(key);
+
+      snapshot(target);
+      target.set(key, newValue);
+      releaseOwner([previous], target);
+      addOwner(newValue, target);
+      record(
+        target,
+        [
+          {
+            op: existed ? "replace" : "add",
+            path: pointer,
+            value: cloneValue(newValue),
+          },
+        ],
+        [
+          existed
+            ? { op: "replace", path: pointer, value: before }
+            : { op: "remove", path: pointer },
+        ],
+      );
+
+      return draftOf(target, path);
+    }
+
+    if (!existed) {
+      return false;
+    }
+
+    const previous = target.get(key);
+
+    snapshot(target);
+    target.delete(key);
+    releaseOwner([previous], target);
+    record(
+      target,
+      [{ op: "remove", path: pointer }],
+      [{ op: "add", path: pointer, value: before }],
+    );
+
+    return true;
+  };
+
+  const draftOf = (target, path) => {
+    if (!isMutableType(target)) {
+      return target;
+    }
+
+    const draftKey = toPointer(path);
+    const cached = drafts.get(draftKey);
+
+    if (cached?.target === target) {
+      return cached.draft;
+    }
+
+    const draft = new Proxy(target, {
+      get: (obj, prop, receiver) => {
+        const value = obj[prop];
+
+        if (typeof value !== "function") {
+          const raw = toRawValue(value);
+
+          return isMutableType(raw) ? draftOf(raw, [...path, prop]) : raw;
+        }
+
+        if (obj instanceof Map && (prop === "set" || prop === "delete")) {
+          return mapMethod(obj, path, prop);
+        }
+
+        if (obj instanceof Map && prop === "clear") {
+          return () => {
+            for (const key of Array.from(obj.keys())) {
+              mapMethod(obj, path, "delete")(key);
+            }
+          };
+        }
+
+        if (obj instanceof Map && prop === "get") {
+          return (key) => {
+            const raw = toRawValue(obj.get(key));
+
+            return isMutableType(raw) ? draftOf(raw, [...path, key]) : raw;
+          };
+        }
+
+        if (
+          (Array.isArray(obj) && ARRAY_MUTATING_METHODS.has(prop)) ||
+          (obj instanceof Set && SET_MUTATING_METHODS.has(prop)) ||
+          (obj instanceof Date && prop.startsWith(DATE_MUTATING_METHODS_PREFIX))
+        ) {
+          return (...args) => {
+            const rawArgs = args.map(unwrap);
+            const result = mutate(obj, path, () => value.apply(obj, rawArgs));
+
+            rawArgs.forEach((arg) => addOwner(arg, obj));
+
+            return result;
+          };
+        }
+
+        // Reading array methods run against the draft, so callbacks such as
+        // find() or forEach() receive drafts of the items.
+        return (...args) =>
+          value.apply(Array.isArray(obj) ? receiver : obj, args);
+      },
+      set: (obj, prop, value) => {
+        const newValue = unwrap(value);
+
+        if (obj[prop] === newValue) {
+          return true;
+        }
+
+        if (Array.isArray(obj)) {
+          mutate(obj, path, () => {
+            obj[prop] = newValue;
+          });
+          addOwner(newValue, obj);
+          return true;
+        }
+
+        const pointer = toPointer([...path, prop]);
+        const existed = prop in obj;
+        const before = cloneValue(obj[prop]);
+
+        const previous = obj[prop];
+
+        snapshot(obj);
+        obj[prop] = newValue;
+        releaseOwner([previous], obj);
+        addOwner(newValue, obj);
+        record(
+          obj,
+          [
+            {
+              op: existed ? "replace" : "add",
+              path: pointer,
+              value: cloneValue(newValue),
+            },
+          ],
+          [
+            existed
+              ? { op: "replace", path: pointer, value: before }
+              : { op: "remove", path: pointer },
+          ],
+        );
+
+        return true;
+      },
+      deleteProperty: (obj, prop) => {
+        if (!(prop in obj)) {
+          return true;
+        }
+
+        if (Array.isArray(obj)) {
+          mutate(obj, path, () => {
+            delete obj[prop];
+          });
+          return true;
+        }
+
+        const pointer = toPointer([...path, prop]);
+        const before = cloneValue(obj[prop]);
+
+        const previous = obj[prop];
+
+        snapshot(obj);
+        delete obj[prop];
+        releaseOwner([previous], obj);
+        record(
+          obj,
+          [{ op: "remove", path: pointer }],
+          [{ op: "add", path: pointer, value: before }],
+        );
+
+        return true;
+      },
+    });
+
+    drafts.set(draftKey, { target, draft });
+    rawDrafts.set(draft, target);
+
+    return draft;
+  };
+
+  return { draft: draftOf(root, []), unwrap, revert };
+};
+
+export function applyPatches(target, patches) {
+  let root = target;
+
+  for (const { op, path, value } of patches) {
+    const segments = fromPointer(path);
+
+    if (segments.length === 0) {
+      root = op === "remove" ? undefined : cloneValue(value);
+      continue;
+    }
+
+    const key = segments.pop();
+    const parent = segments.reduce(
+      (current, segment) =>
+        current instanceof Map ? current.get(segment) : current[segment],
+      root,
+    );
+
+    if (parent instanceof Map) {
+      if (op === "remove") {
+        parent.delete(key);
+      } else {
+        parent.set(key, cloneValue(value));
+      }
+    } else if (Array.isArray(parent)) {
+      const index = key === "-" ? parent.length : Number(key);
+
+      if (op === "add") {
+        parent.splice(index, 0, cloneValue(value));
+      } else if (op === "remove") {
+        parent.splice(index, 1);
+      } else {
+        parent[index] = cloneValue(value);
+      }
+    } else if (op === "remove") {
+      delete parent[key];
+    } else {
+      parent[key] = cloneValue(value);
+    }
+  }
+
+  return root;
+}
+
+class Signal extends SignalBaseClass {
+  _value;
+  _equals;
+  _patchListeners;
+
+  constructor(initialValue, options) {
+    super(options);
+
+    this._equals = resolveEquals(options?.equals);
+    this._value = makeReactive(initialValue, this);
+  }
+
+  get value() {
+    this._track();
+
+    return this.peek();
+  }
+
+  peek() {
+    return this._value;
+  }
+
+  set value(newValue) {
+    const oldValue = this._value;
+
+    if (!this._equals(toRawValue(oldValue), toRawValue(newValue))) {
+      this._value = makeReactive(newValue, this);
+      releaseOwner([oldValue], this);
+      this._emitReplacement(oldValue, newValue);
+      this.notify();
+    }
+  }
+
+  subscribe(onUpdate, options) {
+    if (!options?.patches) {
+      return super.subscribe(onUpdate);
+    }
+
+    this._patchListeners ??= new Set();
+    this._patchListeners.add(onUpdate);
+
+    return () => {
+      this._patchListeners.delete(onUpdate);
+    };
+  }
+
+  // Changes made to the draft are committed as a single notification. If the
+  // recipe throws, they are reverted and nothing is notified.
+  update(recipe) {
+    const recorder = { patches: [], inversePatches: [], targets: new Set() };
+    const rawValue = toRawValue(this._value);
+    const { draft, unwrap, revert } = createDraft(rawValue, recorder);
+    let result;
+
+    try {
+      result = recipe(draft);
+    } catch (e) {
+      revert();
+
+      throw e;
+    }
+
+    if (result !== undefined && unwrap(result) !== rawValue) {
+      revert();
+
+      this.value = unwrap(result);
+      return;
+    }
+
+    if (recorder.patches.length === 0) {
+      return;
+    }
+
+    const owners = new Set([this]);
+
+    for (const target of recorder.targets) {
+      collectOwnerSignals(target, owners);
+    }
+
+    this._emitPatches(recorder.patches, recorder.inversePatches);
+    notifySignals(owners);
+  }
+
+  _emitReplacement(oldValue, newValue) {
+    if (this._patchListeners?.size > 0) {
+      this._emitPatches(
+        [{ op: "replace", path: "", value: cloneValue(newValue) }],
+        [{ op: "replace", path: "", value: cloneValue(oldValue) }],
+      );
+    }
+  }
+
+  _emitPatches(patches, inversePatches) {
+    for (const listener of this._patchListeners ?? []) {
+      try {
+        listener(patches, inversePatches);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  }
+
+  notify() {
+    this._change();
+  }
+}
+
+// Computeds are lazy: they evaluate on first read and only subscribe to their
+// dependencies while they have subscribers of their own. Unobserved computeds
+// use the global version to know whether any signal changed since last read.
+class ComputedSignal extends SignalBaseClass {
+  _kind = "computed";
+  _computation;
+  _equals;
+  _value;
+  _hasValue;
+  _error;
+  _hasError;
+  _dependencies;
+  _previousDependencies;
+  _state;
+  _globalVersion;
+  _computing;
+  _scope;
+  _disposed;
+
+  constructor(computation, options) {
+    super(options);
+
+    this._name ??= computation?.name || undefined;
+    this._computation = computation;
+    this._equals = resolveEquals(options?.equals);
+    this._hasValue = false;
+    this._dependencies = new Map();
+    this._state = DIRTY;
+    this._globalVersion = -1;
+    this._disposed = false;
+  }
+
+  get value() {
+    this._track();
+
+    return this.peek();
+  }
+
+  peek() {
+    this._refresh();
+
+    if (this._hasError) {
+      throw this._error;
+    }
+
+    return this._value;
+  }
+
+  _track() {
+    const currentEffect = currentObserver();
+
+    if (currentEffect != null) {
+      this._refresh();
+      currentEffect._addDependency(this);
+    }
+  }
+
+  _isObserved() {
+    return !this._disposed && this.subscribers.size > 0;
+  }
+
+  _addSubscriber(observer) {
+    const wasObserved = this._isObserved();
+
+    super._addSubscriber(observer);
+
+    if (!wasObserved && this._isObserved()) {
+      if (this._state === CLEAN && this._globalVersion !== globalVersion) {
+        this._state = CHECK;
+      }
+
+      for (const signalInstance of this._dependencies.keys()) {
+        signalInstance._addSubscriber(this);
+      }
+    }
+  }
+
+  _removeSubscriber(observer) {
+    const wasObserved = this._isObserved();
+    const removed = super._removeSubscriber(observer);
+
+    if (wasObserved && !this._isObserved()) {
+      this._releaseDependencies();
+    }
+
+    return removed;
+  }
+
+  _releaseDependencies() {
+    for (const signalInstance of this._dependencies.keys()) {
+      signalInstance._removeSubscriber(this);
+    }
+  }
+
+  _dispose() {
+    const wasObserved = this._isObserved();
+
+    this._disposed = true;
+    this._scope?._computeds.delete(this);
+
+    if (wasObserved) {
+      this._releaseDependencies();
+    }
+  }
+
+  _notify(state) {
+    if (this._state === CLEAN) {
+      this._state = state;
+      this._propagate(CHECK);
+    } else if (state > this._state) {
+      this._state = state;
+    }
+  }
+
+  _refresh() {
+    if (this._computing) {
+      const index = effectsStack.lastIndexOf(this);
+
+      throw createCycleError([
+        ...effectsStack.slice(index).filter((node) => node != null),
+        this,
+      ]);
+    }
+
+    if (!this._isObserved() && this._state === CLEAN) {
+      if (this._globalVersion === globalVersion) {
+        return;
+      }
+
+      this._state = CHECK;
+    }
+
+    if (this._state === CLEAN) {
+      return;
+    }
+
+    if (this._state === CHECK && !dependenciesChanged(this)) {
+      this._state = CLEAN;
+      this._globalVersion = globalVersion;
+      return;
+    }
+
+    this._compute();
+  }
+
+  _addDependency(signalInstance) {
+    this._dependencies.set(signalInstance, signalInstance._version);
+
+    if (this._isObserved()) {
+      signalInstance._addSubscriber(this);
+    }
+  }
+
+  _compute() {
+    this._computing = true;
+    this._state = CLEAN;
+
+    let newValue;
+    let error;
+    let hasError = false;
+
+    startTracking(this);
+
+    try {
+      newValue = this._computation();
+    } catch (e) {
+      error = e;
+      hasError = true;
+    } finally {
+      endTracking(this);
+      this._computing = false;
+      this._globalVersion = globalVersion;
+    }
+
+    if (hasError) {
+      this._error = error;
+      this._hasError = true;
+      this._version += 1;
+    } else if (
+      this._hasError ||
+      !this._hasValue ||
+      !this._equals(this._value, newValue)
+    ) {
+      this._value = newValue;
+      this._hasValue = true;
+      this._error = undefined;
+      this._hasError = false;
+      this._version += 1;
+    }
+  }
+}
+
+export function signal(initialValue, options) {
+  return new Signal(initialValue, options);
+}
+
+// Holds values as they are, without wrapping them in the deep reactivity
+// proxy, so only assignments to .value are tracked.
+class ShallowSignal extends Signal {
+  constructor(initialValue, options) {
+    super(undefined, options);
+
+    this._value = initialValue;
+  }
+
+  get value() {
+    return super.value;
+  }
+
+  set value(newValue) {
+    const oldValue = this._value;
+
+    if (!this._equals(oldValue, newValue)) {
+      this._value = newValue;
+      this._emitReplacement(oldValue, newValue);
+      this.notify();
+    }
+  }
+}
+
+export function shallowSignal(initialValue, options) {
+  return new ShallowSignal(initialValue, options);
+}
+
+export function markRaw(value) {
+  const raw = toRawValue(value);
+
+  if (raw !== null && typeof raw === "object") {
+    rawObjects.add(raw);
+  }
+
+  return value;
+}
+
+export function toRaw(value) {
+  return toRawValue(value);
+}
+
+const ITERATE_KEY = Symbol("iterate");
+const KEYS_KEY = Symbol("keys");
+
+const keyDependencies = new WeakMap();
+const storeCache = new WeakMap();
+
+// A source for a single property (or Map/Set key) of a raw object. Reads
+// through a store track it, and writes only change the keys they affect.
+// It is dropped from its target as soon as nothing subscribes to it, so keys
+// that churn (row ids, map keys) do not accumulate.
+class KeyDependency extends SignalBaseClass {
+  _kind = "property";
+  _target;
+  _key;
+  _attached = true;
+
+  constructor(target, key) {
+    super({ name: String(key) });
+    this._target = target;
+    this._key = key;
+  }
+
+  // A dropped dependency is never changed again, so unobserved computeds that
+  // still hold it treat it as changed and read the key again.
+  _refresh() {
+    if (!this._attached) {
+      this._version += 1;
+    }
+  }
+
+  _addSubscriber(observer) {
+    if (this._attached) {
+      super._addSubscriber(observer);
+      return;
+    }
+
+    const dependencies = dependenciesOf(this._target);
+    const current = dependencies.get(this._key);
+
+    // A computed that becomes observed again resubscribes to what it read
+    // earlier. The key may have changed in between, so it is re-checked.
+    if (current == null) {
+      this._attached = true;
+      this._version += 1;
+      dependencies.set(this._key, this);
+      super._addSubscriber(observer);
+      return;
+    }
+
+    observer._dependencies.delete(this);
+    observer._dependencies.set(current, -1);
+    current._addSubscriber(observer);
+  }
+
+  _removeSubscriber(observer) {
+    const removed = super._removeSubscriber(observer);
+
+    if (this.subscribers.size === 0) {
+      this._detach();
+    }
+
+    return removed;
+  }
+
+  _detach() {
+    const dependencies = keyDependencies.get(this._target);
+
+    if (dependencies?.get(this._key) === this) {
+      dependencies.delete(this._key);
+
+      if (dependencies.size === 0) {
+        keyDependencies.delete(this._target);
+      }
+    }
+
+    this._attached = false;
+  }
+}
+
+const dependenciesOf = (target) => {
+  let dependencies = keyDependencies.get(target);
+
+  if (dependencies == null) {
+    dependencies = new Map();
+    keyDependencies.set(target, dependencies);
+  }
+
+  return dependencies;
+};
+
+const trackKey = (target, key) => {
+  if (currentObserver() == null) {
+    return;
+  }
+
+  const dependencies = dependenciesOf(target);
+  let dependency = dependencies.get(key);
+
+  if (dependency == null) {
+    dependency = new KeyDependency(target, key);
+    dependencies.set(key, dependency);
+  }
+
+  dependency._track();
+
+  // Unobserved computeds record the read without subscribing.
+  if (dependency.subscribers.size === 0) {
+    dependency._detach();
+  }
+};
+
+const triggerKeys = (target, keys) => {
+  const dependencies = keyDependencies.get(target);
+
+  // Dropped dependencies are not changed anymore, so the write is recorded
+  // for the unobserved computeds that may still hold them.
+  globalVersion += 1;
+
+  batch(() => {
+    for (const key of keys) {
+      dependencies?.get(key)?._change();
+    }
+
+    notifyOwners(target);
+  });
+};
+
+// Mutations made through a signal's proxy are not keyed, so every store
+// reader of the object is notified.
+const triggerAllKeys = (target) => {
+  const dependencies = keyDependencies.get(target);
+
+  globalVersion += 1;
+
+  if (dependencies != null) {
+    batch(() => dependencies.forEach((dependency) => dependency._change()));
+  }
+};
+
+const ARRAY_SEARCH_METHODS = new Set(["includes", "indexOf", "lastIndexOf"]);
+
+const isStorable = (value) =>
+  isMutableType(value) &&
+  !Object.isFrozen(value) &&
+  (Array.isArray(value) ||
+    isPlainObject(value) ||
+    value instanceof Map ||
+    value instanceof Set);
+
+const toStoreValue = (value) =>
+  isStorable(value) ? createStore(value) : value;
+
+const isArrayIndex = (target, prop) =>
+  Array.isArray(target) &&
+  typeof prop === "string" &&
+  String(Number(prop) >>> 0) === prop;
+
+const iterateCollection = (target, method, args) => {
+  const isMapKeys = target instanceof Map && method === "keys";
+  const isMapEntries =
+    target instanceof Map && (method === "entries" || method === "@@iterator");
+
+  trackKey(target, isMapKeys ? KEYS_KEY : ITERATE_KEY);
+
+  const iterator =
+    method === "@@iterator"
+      ? target[Symbol.iterator](...args)
+      : target[method](...args);
+
+  return {
+    next() {
+      const { value, done } = iterator.next();
+
+      if (done || isMapKeys) {
+        return { value, done };
+      }
+
+      return {
+        value: isMapEntries
+          ? [value[0], toStoreValue(value[1])]
+          : method === "entries"
+            ? [toStoreValue(value[0]), toStoreValue(value[1])]
+            : toStoreValue(value),
+        done,
+      };
+    },
+    [Symbol.iterator]() {
+      return this;
+    },
+  };
+};
+
+const collectionMethod = (target, prop, receiver) => {
+  switch (prop) {
+    case "get":
+      return (key) => {
+        const rawKey = toRawValue(key);
+
+        trackKey(target, rawKey);
+
+        return toStoreValue(target.get(rawKey));
+      };
+    case "has":
+      return (key) => {
+        const rawKey = toRawValue(key);
+
+        trackKey(target, rawKey);
+
+        return target.has(rawKey);
+      };
+    case "set":
+      return (key, value) => {
+        const rawKey = toRawValue(key);
+        const rawValue = toRawValue(value);
+        const hadKey = target.has(rawKey);
+        const oldValue = target.get(rawKey);
+
+        if (hadKey && Object.is(oldValue, rawValue)) {
+          return receiver;
+        }
+
+        target.set(rawKey, rawValue);
+        releaseOwner([oldValue], target);
+        addOwner(rawValue, target);
+        triggerKeys(
+          target,
+          hadKey ? [rawKey, ITERATE_KEY] : [rawKey, ITERATE_KEY, KEYS_KEY],
+        );
+
+        return receiver;
+      };
+    case "add":
+      return (value) => {
+        const rawValue = toRawValue(value);
+
+        if (!target.has(rawValue)) {
+          target.add(rawValue);
+          addOwner(rawValue, target);
+          triggerKeys(target, [rawValue, ITERATE_KEY, KEYS_KEY]);
+        }
+
+        return receiver;
+      };
+    case "delete":
+      return (key) => {
+        const rawKey = toRawValue(key);
+        const removed = target instanceof Map ? target.get(rawKey) : rawKey;
+
+        if (!target.delete(rawKey)) {
+          return false;
+        }
+
+        releaseOwner([removed], target);
+        triggerKeys(target, [rawKey, ITERATE_KEY, KEYS_KEY]);
+
+        return true;
+      };
+    case "clear":
+      return () => {
+        const keys = Array.from(target.keys());
+        const removed = Array.from(target.values());
+
+        if (keys.length > 0) {
+          target.clear();
+          releaseOwner(removed, target);
+          triggerKeys(target, [...keys, ITERATE_KEY, KEYS_KEY]);
+        }
+      };
+    case "forEach":
+      return (callback, thisArg) => {
+        trackKey(target, ITERATE_KEY);
+
+        target.forEach((value, key) =>
+          callback.call(
+            thisArg,
+            toStoreValue(value),
+            target instanceof Set ? toStoreValue(key) : key,
+            receiver,
+          ),
+        );
+      };
+    case "keys":
+    case "values":
+    case "entries":
+      return (...args) => iterateCollection(target, prop, args);
+    case Symbol.iterator:
+      return (...args) => iterateCollection(target, "@@iterator", args);
+    default: {
+      const value = target[prop];
+
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  }
+};
+
+const mutatingArrays = new WeakSet();
+
+const storeHandler = {
+  get: (target, prop, receiver) => {
+    if (target instanceof Map || target instanceof Set) {
+      if (prop === "size") {
+        trackKey(target, KEYS_KEY);
+
+        return target.size;
+      }
+
+      return collectionMethod(target, prop, receiver);
+    }
+
+    // Mutating array methods read the length they update, so they run
+    // untracked and notify once. Items they shift are only released once the
+    // method is done.
+    if (Array.isArray(target) && ARRAY_MUTATING_METHODS.has(prop)) {
+      return (...args) => {
+        const before = target.slice();
+        let result;
+
+        mutatingArrays.add(target);
+
+        try {
+          batch(() => {
+            result = untracked(() => target[prop].apply(receiver, args));
+          });
+        } finally {
+          mutatingArrays.delete(target);
+        }
+
+        releaseOwner(before, target);
+
+        return result;
+      };
+    }
+
+    // Arrays hold raw items, so searches for store proxies are retried with
+    // the raw value.
+    if (Array.isArray(target) && ARRAY_SEARCH_METHODS.has(prop)) {
+      return (...args) => {
+        const result = target[prop].apply(receiver, args);
+
+        return result === false || result === -1
+          ? target[prop].apply(receiver, args.map(toRawValue))
+          : result;
+      };
+    }
+
+    const value = target[prop];
+
+    if (typeof value === "function") {
+      return value;
+    }
+
+    trackKey(target, prop);
+
+    return toStoreValue(value);
+  },
+  set: (target, prop, value) => {
+    const rawValue = toRawValue(value);
+    const hadKey = isArrayIndex(target, prop)
+      ? Number(prop) < target.length
+      : Object.prototype.hasOwnProperty.call(target, prop);
+    const oldValue = target[prop];
+    const oldLength = Array.isArray(target) ? target.length : 0;
+
+    if (hadKey && Object.is(oldValue, rawValue)) {
+      return true;
+    }
+
+    const overwritten = overwrittenValues(target, prop, rawValue);
+
+    target[prop] = rawValue;
+    addOwner(rawValue, target);
+
+    if (!mutatingArrays.has(target)) {
+      releaseOwner(overwritten, target);
+    }
+
+    const keys = hadKey ? [prop] : [prop, ITERATE_KEY];
+
+    if (Array.isArray(target) && prop === "length") {
+      for (let i = rawValue; i < oldLength; i++) {
+        keys.push(String(i));
+      }
+    } else if (Array.isArray(target) && target.length !== oldLength) {
+      keys.push("length");
+    }
+
+    triggerKeys(target, keys);
+
+    return true;
+  },
+  deleteProperty: (target, prop) => {
+    if (!Object.prototype.hasOwnProperty.call(target, prop)) {
+      return true;
+    }
+
+    const deleted = target[prop];
+
+    delete target[prop];
+
+    if (!mutatingArrays.has(target)) {
+      releaseOwner([deleted], target);
+    }
+
+    triggerKeys(target, [prop, ITERATE_KEY]);
+
+    return true;
+  },
+  has: (target, prop) => {
+    trackKey(target, prop);
+
+    return prop in target;
+  },
+  ownKeys: (target) => {
+    trackKey(target, Array.isArray(target) ? "length" : ITERATE_KEY);
+
+    return Reflect.ownKeys(target);
+  },
+};
+
+const createStore = (value) => {
+  const raw = toRawValue(value);
+
+  if (!isStorable(raw)) {
+    return value;
+  }
+
+  if (!storeCache.has(raw)) {
+    const proxy = new Proxy(raw, storeHandler);
+
+    storeCache.set(raw, proxy);
+    rawCache.set(proxy, raw);
+  }
+
+  return storeCache.get(raw);
+};
+
+// Unlike signals, stores track every property (array index, Map or Set key)
+// read through them separately, so a write only re-runs the effects and
+// re-renders the components that read the exact path it changed.
+export function reactive(target) {
+  return createStore(target);
+}
+
+export function store(initialState) {
+  return createStore(initialState);
+}
+
+const MAX_CHANGE_RECORDS = 1000;
+
+const range = (start, end) =>
+  Array.from({ length: Math.max(end - start, 0) }, (_, i) => start + i);
+
+// Keyed collections track reads per index or key and describe every mutation
+// with change records. Each mutation bumps the collection version, so a
+// computed can remember the version it last saw and only apply the records
+// made since then. Values are stored as they are (use store() items to track
+// their properties).
+class SignalCollection {
+  _changeVersion;
+  _changeLog;
+  _trimmedVersion;
+  _listeners;
+
+  constructor() {
+    this._changeVersion = 0;
+    this._changeLog = [];
+    this._trimmedVersion = 0;
+    this._listeners = new Set();
+  }
+
+  get version() {
+    trackKey(this, ITERATE_KEY);
+
+    return this._changeVersion;
+  }
+
+  // Returns the records made after the given version, in the order they were
+  // applied, or null when they are no longer available and the consumer has
+  // to start over from the current contents.
+  changesSince(version) {
+    trackKey(this, ITERATE_KEY);
+
+    if (version < this._trimmedVersion) {
+      return null;
+    }
+
+    return this._changeLog
+      .filter((entry) => entry.version > version)
+      .map((entry) => entry.record);
+  }
+
+  observe(listener) {
+    this._listeners.add(listener);
+
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  _commit(records, keys) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const version = ++this._changeVersion;
+
+    for (const record of records) {
+      this._changeLog.push({ version, record });
+    }
+
+    while (this._changeLog.length > MAX_CHANGE_RECORDS) {
+      this._trimmedVersion = this._changeLog.shift().version;
+    }
+
+    batch(() => {
+      triggerKeys(this, [...keys, ITERATE_KEY]);
+
+      for (const listener of this._listeners) {
+        try {
+          listener(records);
+        } catch (e) {
+          console.error(e);
+        }
+      }
+    });
+  }
+}
+
+class SignalArray extends SignalCollection {
+  _items;
+
+  constructor(items) {
+    super();
+
+    this._items = Array.from(items ?? []);
+  }
+
+  get length() {
+    trackKey(this, "length");
+
+    return this._items.length;
+  }
+
+  // Indexes are normalized to numbers so get("0") and set(0) share a key.
+  get(index) {
+    const position = Number(index);
+
+    trackKey(this, position);
+
+    return this._items[position];
+  }
+
+  set(index, value) {
+    const position = Number(index);
+
+    if (
+      !Number.isInteger(position) ||
+      position < 0 ||
+      position >= this._items.length
+    ) {
+      throw new RangeError(`Index ${index} is out of bounds`);
+    }
+
+    const oldValue = this._items[position];
+
+    if (Object.is(oldValue, value)) {
+      return;
+    }
+
+    this._items[position] = value;
+    this._commit(
+      [{ type: "updated", index: position, value, oldValue }],
+      [position],
+    );
+  }
+
+  push(...values) {
+    this.splice(this._items.length, 0, ...values);
+
+    return this._items.length;
+  }
+
+  pop() {
+    return this._items.length > 0
+      ? this.splice(this._items.length - 1, 1)[0]
+      : undefined;
+  }
+
+  unshift(...values) {
+    this.splice(0, 0, ...values);
+
+    return this._items.length;
+  }
+
+  shift() {
+    return this._items.length > 0 ? this.splice(0, 1)[0] : undefined;
+  }
+
+  splice(start, deleteCount, ...values) {
+    const length = this._items.length;
+    const from =
+      start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+    const count =
+      deleteCount === undefined
+        ? length - from
+        : Math.min(Math.max(deleteCount, 0), length - from);
+
+    const removed = this._items.splice(from, count, ...values);
+    const records = [
+      ...removed.map((value) => ({ type: "removed", index: from, value })),
+      ...values.map((value, i) => ({ type: "added", index: from + i, value })),
+    ];
+    const keys =
+      removed.length === values.length
+        ? range(from, from + values.length)
+        : [...range(from, Math.max(length, this._items.length)), "length"];
+
+    this._commit(records, keys);
+
+    return removed;
+  }
+
+  move(fromIndex, toIndex) {
+    const length = this._items.length;
+    const from = Number(fromIndex);
+    const to = Number(toIndex);
+
+    if (from === to || from < 0 || to < 0 || from >= length || to >= length) {
+      return;
+    }
+
+    const [value] = this._items.splice(from, 1);
+    this._items.splice(to, 0, value);
+
+    this._commit(
+      [{ type: "moved", from, to, value }],
+      range(Math.min(from, to), Math.max(from, to) + 1),
+    );
+  }
+
+  // Sorting is described as the sequence of moves that turns the previous
+  // order into the sorted one.
+  sort(compare) {
+    const sorted = this._items.slice().sort(compare);
+    const working = this._items.slice();
+    const records = [];
+
+    sorted.forEach((value, to) => {
+      // indexOf never finds NaN.
+      let from = to;
+
+      while (!Object.is(working[from], value)) {
+        from += 1;
+      }
+
+      if (from !== to) {
+        working.splice(to, 0, ...working.splice(from, 1));
+        records.push({ type: "moved", from, to, value });
+      }
+    });
+
+    this._items = sorted;
+    this._commit(records, range(0, sorted.length));
+
+    return this;
+  }
+
+  clear() {
+    this.splice(0);
+  }
+
+  toArray() {
+    trackKey(this, ITERATE_KEY);
+
+    return this._items.slice();
+  }
+
+  forEach(callback, thisArg) {
+    this.toArray().forEach(callback, thisArg);
+  }
+
+  map(callback, thisArg) {
+    return this.toArray().map(callback, thisArg);
+  }
+
+  filter(callback, thisArg) {
+    return this.toArray().filter(callback, thisArg);
+  }
+
+  find(callback, thisArg) {
+    return this.toArray().find(callback, thisArg);
+  }
+
+  indexOf(value) {
+    return this.toArray().indexOf(value);
+  }
+
+  includes(value) {
+    return this.toArray().includes(value);
+  }
+
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+}
+
+class SignalMap extends SignalCollection {
+  _entries;
+
+  constructor(entries) {
+    super();
+
+    this._entries = new Map(entries ?? []);
+  }
+
+  get size() {
+    trackKey(this, KEYS_KEY);
+
+    return this._entries.size;
+  }
+
+  get(key) {
+    trackKey(this, key);
+
+    return this._entries.get(key);
+  }
+
+  has(key) {
+    trackKey(this, key);
+
+    return this._entries.has(key);
+  }
+
+  set(key, value) {
+    const hadKey = this._entries.has(key);
+    const oldValue = this._entries.get(key);
+
+    if (hadKey && Object.is(oldValue, value)) {
+      return this;
+    }
+
+    this._entries.set(key, value);
+    this._commit(
+      [
+        hadKey
+          ? { type: "updated", key, value, oldValue }
+          : { type: "added", key, value },
+      ],
+      hadKey ? [key] : [key, KEYS_KEY],
+    );
+
+    return this;
+  }
+
+  delete(key) {
+    if (!this._entries.has(key)) {
+      return false;
+    }
+
+    const value = this._entries.get(key);
+
+    this._entries.delete(key);
+    this._commit([{ type: "removed", key, value }], [key, KEYS_KEY]);
+
+    return true;
+  }
+
+  clear() {
+    const records = Array.from(this._entries, ([key, value]) => ({
+      type: "removed",
+      key,
+      value,
+    }));
+
+    this._entries.clear();
+    this._commit(records, [...records.map(({ key }) => key), KEYS_KEY]);
+  }
+
+  keys() {
+    trackKey(this, KEYS_KEY);
+
+    return Array.from(this._entries.keys()).values();
+  }
+
+  values() {
+    trackKey(this, ITERATE_KEY);
+
+    return Array.from(this._entries.values()).values();
+  }
+
+  entries() {
+    trackKey(this, ITERATE_KEY);
+
+    return Array.from(this._entries.entries()).values();
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+class SignalSet extends SignalCollection {
+  _values;
+
+  constructor(values) {
+    super();
+
+    this._values = new Set(values ?? []);
+  }
+
+  get size() {
+    trackKey(this, KEYS_KEY);
+
+    return this._values.size;
+  }
+
+  has(value) {
+    trackKey(this, value);
+
+    return this._values.has(value);
+  }
+
+  add(value) {
+    if (!this._values.has(value)) {
+      this._values.add(value);
+      this._commit([{ type: "added", value }], [value, KEYS_KEY]);
+    }
+
+    return this;
+  }
+
+  delete(value) {
+    if (!this._values.delete(value)) {
+      return false;
+    }
+
+    this._commit([{ type: "removed", value }], [value, KEYS_KEY]);
+
+    return true;
+  }
+
+  clear() {
+    const values = Array.from(this._values);
+
+    this._values.clear();
+    this._commit(
+      values.map((value) => ({ type: "removed", value })),
+      [...values, KEYS_KEY],
+    );
+  }
+
+  values() {
+    trackKey(this, ITERATE_KEY);
+
+    return Array.from(this._values).values();
+  }
+
+  keys() {
+    return this.values();
+  }
+
+  forEach(callback, thisArg) {
+    for (const value of this.values()) {
+      callback.call(thisArg, value, value, this);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+}
+
+export function signalArray(items) {
+  return new SignalArray(items);
+}
+
+export function signalMap(entries) {
+  return new SignalMap(entries);
+}
+
+export function signalSet(values) {
+  return new SignalSet(values);
+}
+
+// Each key is tracked on its own and compared against the source without
+// reading it, so a selection change only notifies the readers of the previously
+// and newly selected keys instead of every row. A key is dropped once no row
+// reads it anymore, so ids of removed rows are not retained.
+export function createSelector(source) {
+  const keys = {};
+  let selected = untracked(() => source.value);
+
+  const dispose = effect(
+    () => {
+      const previous = selected;
+      selected = source.value;
+
+      if (!Object.is(previous, selected)) {
+        untracked(() => triggerKeys(keys, [previous, selected]));
+      }
+    },
+    { name: "createSelector" },
+  );
+
+  const isSelected = (key) => {
+    trackKey(keys, key);
+
+    const current = untracked(() => source.value);
+
+    return Object.is(key, current);
+  };
+  isSelected.dispose = dispose;
+
+  return isSelected;
+}
+
+const defaultStorage = () => {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Stored entries keep the version they were written with, so older entries can
+// be migrated (or discarded) on hydration. Writes are debounced, and storage
+// errors (corrupt entries, quota exceeded, storage disabled) are logged without
+// affecting the in-memory value.
+class PersistedSignal extends Signal {
+  _key;
+  _storage;
+  _serialize;
+  _deserialize;
+  _storageVersion;
+  _debounce;
+  _writeTimeout;
+
+  constructor(key, initialValue, options) {
+    super(undefined, options);
+
+    this._key = key;
+    this._storage =
+      options?.storage !== undefined ? options.storage : defaultStorage();
+    this._serialize = options?.serialize ?? JSON.stringify;
+    this._deserialize = options?.deserialize ?? JSON.parse;
+    this._storageVersion = options?.version ?? 0;
+    this._debounce = options?.debounce ?? 100;
+    this._writeTimeout = null;
+
+    const { value, migrated } = this._hydrate(initialValue, options?.migrate);
+
+    this._value = makeReactive(value, this);
+
+    if (migrated) {
+      this._scheduleWrite();
+    }
+  }
+
+  notify() {
+    this._scheduleWrite();
+
+    super.notify();
+  }
+
+  persist() {
+    clearTimeout(this._writeTimeout);
+    this._writeTimeout = null;
+
+    if (this._storage == null) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(
+        this._key,
+        this._serialize({
+          version: this._storageVersion,
+          value: toRawValue(this._value),
+        }),
+      );
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  _scheduleWrite() {
+    if (this._storage == null) {
+      return;
+    }
+
+    clearTimeout(this._writeTimeout);
+    this._writeTimeout = setTimeout(() => this.persist(), this._debounce);
+  }
+
+  _hydrate(initialValue, migrate) {
+    try {
+      const serialized = this._storage?.getItem(this._key);
+
+      if (serialized != null) {
+        const entry = this._deserialize(serialized);
+
+        if (entry?.version === this._storageVersion) {
+          return { value: entry.value, migrated: false };
+        }
+
+        if (migrate != null) {
+          return {
+            value: migrate(entry?.value, entry?.version),
+            migrated: true,
+          };
+        }
+      }
+    } catch (e) {
+      console.error(e);
+    }
+
+    return { value: initialValue, migrated: false };
+  }
+}
+
+export function persistedSignal(key, initialValue, options) {
+  return new PersistedSignal(key, initialValue, options);
+}
+
+const SYNC_STORAGE_PREFIX = "signals_sync:";
+
+// Uses the given BroadcastChannel-like object, a BroadcastChannel, or, where
+// BroadcastChannel is not available, storage events (which are only delivered
+// to the other tabs).
+const openSyncChannel = (channelName, onMessage, channel) => {
+  if (channel == null && typeof BroadcastChannel !== "undefined") {
+    const broadcastChannel = new BroadcastChannel(channelName);
+    const transport = openSyncChannel(channelName, onMessage, broadcastChannel);
+
+    return {
+      post: transport.post,
+      close: () => {
+        transport.close();
+        broadcastChannel.close();
+      },
+    };
+  }
+
+  if (channel != null) {
+    const listener = (event) => onMessage(event.data);
+
+    channel.addEventListener("message", listener);
+
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.removeEventListener("message", listener),
+    };
+  }
+
+  const storage = defaultStorage();
+
+  if (storage == null || typeof window === "undefined") {
+    return null;
+  }
+
+  const storageKey = `${SYNC_STORAGE_PREFIX}${channelName}`;
+  const listener = (event) => {
+    if (event.key !== storageKey || event.newValue == null) {
+      return;
+    }
+
+    let message;
+
+    // Anything can write to the key, so values that are not JSON are ignored.
+    try {
+      message = JSON.parse(event.newValue);
+    } catch (e) {
+      return;
+    }
+
+    onMessage(message);
+  };
+
+  window.addEventListener("storage", listener);
+
+  return {
+    post: (message) => storage.setItem(storageKey, JSON.stringify(message)),
+    close: () => window.removeEventListener("storage", listener),
+  };
+};
+
+// Every change is broadcast with a timestamp. Incoming values older than the
+// last change seen are ignored (last writer wins, ties broken by source id),
+// and applying an incoming value is never broadcast back.
+export function syncSignal(signalInstance, channelName, options) {
+  const sourceId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  let lastTimestamp = 0;
+  let lastSourceId = sourceId;
+  let appliedVersion = null;
+
+  const isSyncMessage = (message) =>
+    typeof message?.timestamp === "number" &&
+    typeof message.sourceId === "string";
+
+  const isNewer = (message) =>
+    message.timestamp > lastTimestamp ||
+    (message.timestamp === lastTimestamp && message.sourceId > lastSourceId);
+
+  const transport = openSyncChannel(
+    channelName,
+    (message) => {
+      if (
+        !isSyncMessage(message) ||
+        message.sourceId === sourceId ||
+        !isNewer(message)
+      ) {
+        return;
+      }
+
+      lastTimestamp = message.timestamp;
+      lastSourceId = message.sourceId;
+
+      batch(() => {
+        signalInstance.value = message.value;
+        appliedVersion = signalInstance._version;
+      });
+    },
+    options?.channel,
+  );
+
+  if (transport == null) {
+    return () => {};
+  }
+
+  const unsubscribe = signalInstance.subscribe(() => {
+    if (signalInstance._version === appliedVersion) {
+      return;
+    }
+
+    lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+    lastSourceId = sourceId;
+
+    try {
+      transport.post({
+        value: toRawValue(signalInstance.peek()),
+        timestamp: lastTimestamp,
+        sourceId,
+      });
+    } catch (e) {
+      console.error(e);
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    transport.close();
+  };
+}
+
+export function computed(computation, options) {
+  const computedInstance = new ComputedSignal(computation, options);
+
+  currentScope()?._add(computedInstance);
+
+  return computedInstance;
+}
+
+export function effect(callback, options) {
+  const effectInstance = new Effect(callback, options);
+
+  currentScope()?._add(effectInstance);
+
+  batch(() => {
+    try {
+      effectInstance._run();
+    } catch (e) {
+      reportError(e, effectInstance);
+    }
+  });
+
+  return () => {
+    return effectInstance._dispose();
+  };
+}
+
+export function effectScope(detached = false) {
+  return new EffectScope(detached);
+}
+
+const RESOURCE_STATUS = {
+  IDLE: "idle",
+  LOADING: "loading",
+  SUCCESS: "success",
+  ERROR: "error",
+};
+
+class Resource {
+  _loader;
+  _value;
+  _error;
+  _status;
+  _refreshCount;
+  _requestId;
+  _dispose;
+
+  constructor(loader, options) {
+    this._loader = loader;
+    this._value = signal(options?.initialValue);
+    this._error = new ShallowSignal(undefined);
+    this._status = signal(RESOURCE_STATUS.IDLE);
+    this._refreshCount = signal(0);
+    this._requestId = 0;
+
+    this._dispose = effect(() => this._load());
+  }
+
+  get value() {
+    return this._value.value;
+  }
+
+  get error() {
+    return this._error.value;
+  }
+
+  get status() {
+    return this._status.value;
+  }
+
+  get loading() {
+    return this._status.value === RESOURCE_STATUS.LOADING;
+  }
+
+  peek() {
+    return this._value.peek();
+  }
+
+  refresh() {
+    this._refreshCount.value += 1;
+  }
+
+  mutate(valueOrUpdater) {
+    const newValue =
+      typeof valueOrUpdater === "function"
+        ? valueOrUpdater(this._value.peek())
+        : valueOrUpdater;
+
+    batch(() => {
+      this._value.value = newValue;
+      this._error.value = undefined;
+      this._status.value = RESOURCE_STATUS.SUCCESS;
+    });
+  }
+
+  dispose() {
+    this._requestId += 1;
+    this._dispose();
+  }
+
+  // Runs inside the resource effect: signals read synchronously by the loader
+  // (before its first await) become the request parameters.
+  _load() {
+    this._refreshCount.value;
+
+    const requestId = ++this._requestId;
+    const abortController =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+
+    batch(() => {
+      this._error.value = undefined;
+      this._status.value = RESOURCE_STATUS.LOADING;
+    });
+
+    let request;
+
+    try {
+      request = Promise.resolve(
+        this._loader({
+          abortSignal: abortController?.signal,
+          previousValue: this._value.peek(),
+        }),
+      );
+    } catch (e) {
+      request = Promise.reject(e);
+    }
+
+    request.then(
+      (value) => {
+        if (requestId === this._requestId) {
+          batch(() => {
+            this._value.value = value;
+            this._status.value = RESOURCE_STATUS.SUCCESS;
+          });
+        }
+      },
+      (error) => {
+        if (requestId === this._requestId) {
+          batch(() => {
+            this._error.value = error;
+            this._status.value = RESOURCE_STATUS.ERROR;
+          });
+        }
+      },
+    );
 
-const didMutate = (target, method, beforeSize) => {
-  if (Array.isArray(target)) {
-    return ARRAY_MUTATING_METHODS.has(method);
+    return () => {
+      abortController?.abort();
+    };
   }
+}
 
-  if (target instanceof Set) {
-    return beforeSize !== target.size || SET_MUTATING_METHODS.has(method);
+export function resource(loader, options) {
+  return new Resource(loader, options);
+}
+
+// Drives a wire adapter outside of @wire. The adapter stays connected while the
+// owning scope or component is active and receives a new config every time the
+// config signal changes. A nullish config is not sent to the adapter.
+class WireSignal {
+  data;
+  error;
+  _adapter;
+  _config;
+  _data;
+  _error;
+  _disposeConnection;
+  _disposeUpdates;
+
+  constructor(adapter, config) {
+    const AdapterClass = adapter?.adapter ?? adapter;
+
+    this._config = typeof config === "function" ? computed(config) : config;
+    this._data = new ShallowSignal(undefined);
+    this._error = new ShallowSignal(undefined);
+    this.data = computed(() => this._data.value);
+    this.error = computed(() => this._error.value);
+
+    this._adapter = new AdapterClass((value) => {
+      batch(() => {
+        this._data.value = value?.data;
+        this._error.value = value?.error;
+      });
+    });
+
+    this._disposeConnection = effect(
+      () => {
+        untracked(() => this._adapter.connect());
+
+        return () => this._adapter.disconnect();
+      },
+      { name: "wireSignal" },
+    );
+
+    this._disposeUpdates = effect(
+      () => {
+        const wireConfig = toRawValue(this._config.value);
+
+        if (wireConfig != null) {
+          untracked(() => this._adapter.update(wireConfig, {}));
+        }
+      },
+      { name: "wireSignalConfig" },
+    );
   }
 
-  if (target instanceof Map) {
-    return beforeSize !== target.size || MAP_MUTATING_METHODS.has(method);
+  dispose() {
+    this._disposeUpdates();
+    this._disposeConnection();
   }
+}
 
-  if (target instanceof Date) {
-    return method.startsWith(DATE_MUTATING_METHODS_PREFIX);
+export function wireSignal(adapter, config) {
+  return new WireSignal(adapter, config);
+}
+
+const queryCache = new Map();
+
+const serializeParams = (params) =>
+  JSON.stringify(params, (key, value) =>
+    isPlainObject(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((name) => [name, value[name]]),
+        )
+      : value,
+  );
+
+// Entries keep the key and a copy of the params they were created with, since
+// a params signal may be mutated in place after the entry is acquired.
+const acquireQueryEntry = (key, apexMethod, params) => {
+  let entries = queryCache.get(key);
+
+  if (entries == null) {
+    entries = new Map();
+    queryCache.set(key, entries);
   }
 
-  if (ArrayBuffer.isView(target)) {
-    return method === TYPED_ARRAY_MUTATING_METHOD;
+  const paramsKey = serializeParams(params);
+  let entry = entries.get(paramsKey);
+
+  if (entry == null) {
+    entry = {
+      apexMethod,
+      params: cloneValue(params),
+      paramsKey,
+      data: new ShallowSignal(undefined),
+      error: new ShallowSignal(undefined),
+      isFetching: signal(false),
+      updatedAt: null,
+      request: null,
+      requestId: 0,
+      observers: 0,
+      gcTimeout: null,
+    };
+    entries.set(paramsKey, entry);
   }
 
-  return true;
+  clearTimeout(entry.gcTimeout);
+  entry.observers += 1;
+
+  return entry;
 };
 
-const reactiveCache = new WeakMap();
-const makeReactive = (obj, notifyFn) => {
-  if (reactiveCache.has(obj)) {
-    return reactiveCache.get(obj);
-  }
+const releaseQueryEntry = (key, entry, cacheTime) => {
+  entry.observers -= 1;
 
-  if (!isMutableType(obj)) {
-    return obj;
+  if (entry.observers > 0) {
+    return;
   }
 
-  const proxy = new Proxy(obj, {
-    get: (target, prop) => {
-      const value = target[prop];
-
-      if (typeof value === "function") {
-        return (...args) => {
-          const beforeSize = target.size ?? target.length ?? null;
-          const result = value.apply(target, args);
+  clearTimeout(entry.gcTimeout);
+  entry.gcTimeout = setTimeout(() => {
+    const entries = queryCache.get(key);
 
-          if (didMutate(target, prop, beforeSize)) {
-            notifyFn();
-          }
+    if (entry.observers === 0 && entries?.get(entry.paramsKey) === entry) {
+      entries.delete(entry.paramsKey);
 
-          return result;
-        };
+      if (entries.size === 0) {
+        queryCache.delete(key);
       }
+    }
+  }, cacheTime);
+};
 
-      return isMutableType(value) ? makeReactive(value, notifyFn) : value;
-    },
-    set: (target, prop, value) => {
-      if (target[prop] !== value) {
-        target[prop] = value;
+// Concurrent fetches of the same entry share one request unless forced, in
+// which case the in-flight request is superseded and its result ignored.
+const fetchQueryEntry = (entry, force) => {
+  if (entry.request != null && !force) {
+    return entry.request;
+  }
+
+  const requestId = ++entry.requestId;
+
+  entry.isFetching.value = true;
+
+  let request;
+
+  try {
+    request = Promise.resolve(entry.apexMethod(entry.params));
+  } catch (e) {
+    request = Promise.reject(e);
+  }
 
-        notifyFn();
+  entry.request = request.then(
+    (data) => {
+      if (requestId === entry.requestId) {
+        entry.request = null;
+        entry.updatedAt = Date.now();
+
+        batch(() => {
+          entry.data.value = data;
+          entry.error.value = undefined;
+          entry.isFetching.value = false;
+        });
       }
-      return true;
     },
-    deleteProperty: (target, prop) => {
-      if (prop in target) {
-        delete target[prop];
-
-        notifyFn();
+    (error) => {
+      if (requestId === entry.requestId) {
+        entry.request = null;
+
+        batch(() => {
+          entry.error.value = error;
+          entry.isFetching.value = false;
+        });
       }
-      return true;
     },
-  });
-
-  reactiveCache.set(obj, proxy);
+  );
 
-  return proxy;
+  return entry.request;
 };
 
-class SignalBaseClass {
-  constructor() {
-    this.subscribers = new Set();
+// Queries share cache entries keyed by the query key (the Apex method unless a
+// key is given) and the serialized params. Cached data is served right away
+// and refetched in the background once older than staleTime; entries without
+// observers are dropped after cacheTime.
+class Query {
+  _key;
+  _apexMethod;
+  _params;
+  _staleTime;
+  _cacheTime;
+  _entry;
+  _dispose;
+
+  constructor(apexMethod, params, options) {
+    this._key = options?.key ?? apexMethod;
+    this._apexMethod = apexMethod;
+    this._params = typeof params === "function" ? computed(params) : params;
+    this._staleTime = options?.staleTime ?? 0;
+    this._cacheTime = options?.cacheTime ?? 5 * 60 * 1000;
+    this._entry = new ShallowSignal(null);
+
+    this._dispose = effect(() => this._observe(), { name: "query" });
   }
 
-  subscribe(onUpdate) {
-    this.subscribers.add(onUpdate);
-
-    return () => {
-      this.subscribers.delete(onUpdate);
-    };
+  get data() {
+    return this._entry.value?.data.value;
   }
 
-  notify() {
-    for (const subscriber of this.subscribers) {
-      subscriber();
-    }
+  get error() {
+    return this._entry.value?.error.value;
   }
-}
 
-const componentContextsStack = [];
-
-class ComponentContext {
-  _component;
-  _effectsStack;
-
-  constructor(component) {
-    this._component = component;
-    this._effectsStack = [];
+  get isFetching() {
+    return this._entry.value?.isFetching.value ?? false;
   }
-}
 
-class Effect {
-  _callback;
-  _callbackCleanup;
-  _dependencyDisposes;
-  _dependencies;
-  _disposed;
+  refetch() {
+    const entry = this._entry.peek();
 
-  constructor(callback) {
-    this._callback = callback;
-    this._dependencyDisposes = new Set();
-    this._dependencies = new Set();
-    this._disposed = false;
+    return entry != null ? fetchQueryEntry(entry, false) : Promise.resolve();
   }
 
-  _run() {
-    this._callbackCleanup?.();
-    this._callbackCleanup = this._callback?.();
+  dispose() {
+    this._dispose();
   }
 
-  _addDependency(signalInstance) {
-    if (!this._dependencies.has(signalInstance)) {
-      const signalDispose = signalInstance.subscribe(() => this._run());
+  _observe() {
+    const params = this._params == null ? {} : toRawValue(this._params.value);
 
-      this._dependencyDisposes.add(signalDispose);
-      this._dependencies.add(signalInstance);
+    if (params == null) {
+      this._entry.value = null;
+      return undefined;
     }
-  }
 
-  _dispose() {
-    if (this._disposed) {
-      return;
-    }
+    return untracked(() => {
+      const entry = acquireQueryEntry(this._key, this._apexMethod, params);
 
-    this._callbackCleanup?.();
-    this._callbackCleanup = null;
+      this._entry.value = entry;
 
-    for (const signalDispose of this._dependencyDisposes) {
-      try {
-        signalDispose();
-      } catch (e) {
-        console.error(e);
+      if (
+        entry.updatedAt == null ||
+        Date.now() - entry.updatedAt >= this._staleTime
+      ) {
+        fetchQueryEntry(entry, false);
       }
-    }
 
-    this._dependencyDisposes.clear();
-    this._dependencies.clear();
+      return () => releaseQueryEntry(this._key, entry, this._cacheTime);
+    });
   }
 }
 
-class Signal extends SignalBaseClass {
-  _value;
+export function query(apexMethod, params, options) {
+  return new Query(apexMethod, params, options);
+}
 
-  constructor(initialValue) {
-    super();
+export function invalidate(key, params) {
+  const entries = queryCache.get(key);
 
-    this._value = makeReactive(initialValue, () => this.notify());
+  if (entries == null) {
+    return;
   }
 
-  get value() {
-    this._track();
+  const paramsKey = params !== undefined ? serializeParams(params) : null;
 
-    return this.peek();
-  }
+  for (const [entryParamsKey, entry] of entries) {
+    if (paramsKey != null && entryParamsKey !== paramsKey) {
+      continue;
+    }
 
-  peek() {
-    return this._value;
-  }
+    entry.updatedAt = null;
 
-  set value(newValue) {
-    if (this._value !== newValue) {
-      this._value = makeReactive(newValue, () => this.notify());
-      this.notify();
+    if (entry.observers > 0) {
+      fetchQueryEntry(entry, true);
     }
   }
+}
 
-  _track() {
-    const currentEffect =
-      effectsStack.length > 0 ? effectsStack[effectsStack.length - 1] : null;
+const applyMutator = (value, mutator) => {
+  const result = mutator(value);
 
-    currentEffect?._addDependency(this);
-  }
+  return result === undefined ? value : result;
+};
 
-  notify() {
-    if (batchDepth > 0) {
-      batchSignalsToNotify.add(this);
-    } else {
-      super.notify();
+const optimisticStates = new WeakMap();
+
+// Each signal keeps the last confirmed value and the queue of pending
+// transactions. Confirmed transactions are folded into the confirmed value in
+// order; when one fails, the signal is rebuilt from the confirmed value by
+// replaying the transactions that are still pending. Writes made by other code
+// while transactions are pending are not part of the confirmed value, so a
+// rollback discards them.
+export function optimistic(signalInstance, mutator, commit) {
+  const state = optimisticStates.get(signalInstance) ?? {
+    confirmed: cloneValue(signalInstance.peek()),
+    transactions: [],
+  };
+
+  // A mutator that throws is reverted by update() and never queued.
+  signalInstance.update(mutator);
+
+  const transaction = { mutator, committed: false };
+
+  state.transactions.push(transaction);
+  optimisticStates.set(signalInstance, state);
+
+  // Folds the committed transactions at the head of the queue into the
+  // confirmed value, and forgets the state once nothing is pending.
+  const settle = () => {
+    while (state.transactions[0]?.committed) {
+      state.confirmed = applyMutator(
+        state.confirmed,
+        state.transactions.shift().mutator,
+      );
+    }
+
+    if (state.transactions.length === 0) {
+      optimisticStates.delete(signalInstance);
     }
+  };
+
+  let request;
+
+  try {
+    request = Promise.resolve(commit(toRawValue(signalInstance.peek())));
+  } catch (e) {
+    request = Promise.reject(e);
   }
-}
 
-class ComputedSignal extends SignalBaseClass {
-  _computation;
-  _value;
-  _dirty;
-  _effectRan;
-  _computing;
+  return request.then(
+    (result) => {
+      transaction.committed = true;
 
-  constructor(computation) {
-    super();
+      settle();
 
-    this._computation = computation;
-    this._effectRan = false;
-    this._dirty = true;
+      return result;
+    },
+    (error) => {
+      state.transactions.splice(state.transactions.indexOf(transaction), 1);
+      settle();
 
-    effect(() => {
-      if (!this._effectRan) {
-        this._compute();
-        this._effectRan = true;
-      } else if (!this._dirty) {
-        this._dirty = true;
-        this.notify();
-      }
-    });
+      signalInstance.value = state.transactions.reduce(
+        (value, pending) => applyMutator(value, pending.mutator),
+        cloneValue(state.confirmed),
+      );
+
+      throw error;
+    },
+  );
+}
+
+// Records a snapshot every time the signal changes. Changes made inside one
+// batch() (or, with a debounce, in quick succession) become a single step.
+// Values restored by undo() and redo() are not recorded.
+class History {
+  canUndo;
+  canRedo;
+  _signal;
+  _limit;
+  _debounce;
+  _past;
+  _present;
+  _future;
+  _recordedVersion;
+  _debounceTimeout;
+  _sizes;
+  _dispose;
+
+  constructor(signalInstance, options) {
+    this._signal = signalInstance;
+    this._limit = options?.limit ?? Infinity;
+    this._debounce = options?.debounce ?? 0;
+    this._past = [];
+    this._present = cloneValue(signalInstance.peek());
+    this._future = [];
+    this._recordedVersion = signalInstance._version;
+    this._debounceTimeout = null;
+    this._sizes = signal({ past: 0, future: 0 });
+
+    this.canUndo = computed(() => this._sizes.value.past > 0);
+    this.canRedo = computed(() => this._sizes.value.future > 0);
+
+    this._dispose = effect(
+      () => {
+        this._signal.value;
+
+        untracked(() => this._record());
+      },
+      { name: "history", scheduler: "sync" },
+    );
   }
 
-  get value() {
-    this._track();
+  undo() {
+    if (this._past.length === 0) {
+      return;
+    }
 
-    return this.peek();
+    this._future.push(this._present);
+    this._restore(this._past.pop());
   }
 
-  peek() {
-    if (this._dirty) {
-      this._compute(false);
+  redo() {
+    if (this._future.length === 0) {
+      return;
     }
 
-    return this._value;
+    this._past.push(this._present);
+    this._restore(this._future.pop());
   }
 
-  _track() {
-    const currentEffect =
-      effectsStack.length > 0 ? effectsStack[effectsStack.length - 1] : null;
+  clear() {
+    this._endGroup();
+    this._past = [];
+    this._future = [];
+    this._present = cloneValue(this._signal.peek());
+    this._updateSizes();
+  }
 
-    if (currentEffect != null) {
-      currentEffect?._addDependency(this);
-    }
+  dispose() {
+    this._endGroup();
+    this._dispose();
   }
 
-  _compute() {
-    if (this._computing) {
+  _record() {
+    if (this._signal._version === this._recordedVersion) {
       return;
     }
 
-    this._computing = true;
-    const newValue = this._computation();
-    this._computing = false;
+    this._recordedVersion = this._signal._version;
 
-    if (this._value !== newValue) {
-      this._value = newValue;
-      this._dirty = false;
-    }
-  }
-}
+    if (this._debounceTimeout == null) {
+      this._past.push(this._present);
+      this._future = [];
 
-export function signal(initialValue) {
-  return new Signal(initialValue);
-}
+      if (this._past.length > this._limit) {
+        this._past.shift();
+      }
+    }
 
-export function computed(computation) {
-  return new ComputedSignal(computation);
-}
+    this._present = cloneValue(this._signal.peek());
+    this._updateSizes();
 
-export function effect(callback) {
-  const effectInstance = new Effect(callback);
+    if (this._debounce > 0) {
+      clearTimeout(this._debounceTimeout);
+      this._debounceTimeout = setTimeout(
+        () => this._endGroup(),
+        this._debounce,
+      );
+    }
+  }
 
-  effectsStack.push(effectInstance);
+  _restore(snapshot) {
+    this._endGroup();
+    this._present = snapshot;
 
-  const currentComponentContext =
-    componentContextsStack.length > 0
-      ? componentContextsStack[componentContextsStack.length - 1]
-      : null;
+    batch(() => {
+      this._signal.value = cloneValue(snapshot);
+      this._recordedVersion = this._signal._version;
+      this._updateSizes();
+    });
+  }
 
-  if (currentComponentContext != null) {
-    currentComponentContext._effectsStack.push(effectInstance);
+  _endGroup() {
+    clearTimeout(this._debounceTimeout);
+    this._debounceTimeout = null;
   }
 
-  try {
-    effectInstance._run();
-  } finally {
-    effectsStack.pop();
+  _updateSizes() {
+    this._sizes.value = {
+      past: this._past.length,
+      future: this._future.length,
+    };
   }
+}
 
-  return () => {
-    return effectInstance._dispose();
-  };
+export function history(signalInstance, options) {
+  return new History(signalInstance, options);
 }
 
 export function untracked(callback) {
@@ -333,82 +3737,222 @@ export function untracked(callback) {
 }
 
 export function batch(callback) {
+  let completed = false;
+
   batchDepth += 1;
 
   try {
     callback();
+    completed = true;
   } finally {
     batchDepth -= 1;
+
+    if (batchDepth === 0) {
+      if (completed) {
+        flushEffects();
+      } else {
+        // Effects still run for the writes made before the callback threw,
+        // but the callback's error is the one the caller receives.
+        try {
+          flushEffects();
+        } catch (e) {
+          console.error(e);
+        }
+      }
+    }
   }
+}
 
-  if (batchDepth === 0) {
-    const signalsToNotify = Array.from(batchSignalsToNotify);
+export function configure(options) {
+  if (options?.devMode !== undefined) {
+    devMode = Boolean(options.devMode);
+  }
 
-    batchSignalsToNotify.clear();
+  if (options?.maxEffectRuns !== undefined) {
+    maxEffectRuns = options.maxEffectRuns;
+  }
 
-    for (const signalInstance of signalsToNotify) {
-      signalInstance.notify();
-    }
+  if (options?.scheduler !== undefined) {
+    resolveScheduler(options.scheduler);
+    defaultScheduler = options.scheduler;
   }
 }
 
+// Deferred effects scheduled by the effects it runs are drained as well. When
+// called from inside a flush, the outer flush drains them.
+export function flush() {
+  do {
+    for (const effectsToRun of scheduledEffects.values()) {
+      pendingEffects.push(...effectsToRun);
+    }
+
+    scheduledEffects.clear();
+
+    flushEffects();
+  } while (!flushing && scheduledEffects.size > 0);
+}
+
+export function onError(handler) {
+  const previousHandler = globalErrorHandler;
+
+  globalErrorHandler = handler;
+
+  return () => {
+    if (globalErrorHandler === handler) {
+      globalErrorHandler = previousHandler;
+    }
+  };
+}
+
+const INJECT_EVENT = "signals_inject";
+
 export const WithSignals = (BaseClass) => {
   return class extends BaseClass {
     __updateTimestamp;
     __previousUpdateTimestamp;
     __effectInstance;
-    __effectsStack;
     __componentContext;
+    __provided;
 
     constructor() {
       super();
 
       const component = this;
 
-      this.__effectsStack = [];
-
-      this.__effectInstance = new Effect(() => {
+      this.__effectInstance = new RenderEffect(() => {
         component.__updateTimestamp = Date.now();
       });
 
       this.__effectInstance._run();
 
-      const componentContext = new ComponentContext(component);
-      this.__componentContext = componentContext;
+      this.__componentContext = new ComponentContext(component);
+
+      connectingContext = this.__componentContext;
+    }
+
+    effect(callback, options) {
+      return this.own(() => effect(callback, options));
+    }
+
+    computed(computation, options) {
+      return this.own(() => computed(computation, options));
+    }
+
+    // Runs the callback so that every effect, computed or helper it creates
+    // belongs to this component.
+    own(callback) {
+      return this.__componentContext._own(callback);
+    }
+
+    // Keeps a component property in sync with a signal, so it can be used as a
+    // reactive "$property" parameter of @wire. Objects are copied because LWC
+    // ignores writes of the same reference, which in-place mutations keep.
+    bindProperty(propertyName, source) {
+      return this.effect(
+        () => {
+          this[propertyName] = cloneValue(source.value);
+        },
+        { name: `bindProperty(${propertyName})` },
+      );
+    }
+
+    // Injection requests bubble up the DOM (across shadow boundaries) until an
+    // ancestor that provides the key answers, so each provider instance
+    // scopes its values to its own subtree.
+    provide(key, value) {
+      if (this.__provided == null) {
+        this.__provided = new Map();
+
+        this.addEventListener(INJECT_EVENT, (event) =>
+          this.__handleInject(event),
+        );
+      }
+
+      this.__provided.set(key, value);
+
+      return value;
+    }
+
+    inject(key, defaultValue) {
+      const detail = { key, requester: this, found: false, value: undefined };
+
+      this.dispatchEvent(
+        new CustomEvent(INJECT_EVENT, {
+          bubbles: true,
+          composed: true,
+          detail,
+        }),
+      );
+
+      return detail.found ? detail.value : defaultValue;
+    }
 
-      componentContextsStack.push(componentContext);
+    __handleInject(event) {
+      const { detail } = event;
+
+      if (detail.requester === this || !this.__provided.has(detail.key)) {
+        return;
+      }
+
+      detail.value = this.__provided.get(detail.key);
+      detail.found = true;
+
+      event.stopPropagation();
+    }
+
+    __connectSignals() {
+      if (this.__componentContext._connect()) {
+        this.__effectInstance._restore();
+      }
     }
 
     __triggerSignals() {
-      effectsStack.push(this.__effectInstance);
+      this.__connectSignals();
+
+      if (connectingContext === this.__componentContext) {
+        connectingContext = null;
+      }
+
+      this.__effectInstance._startRender();
 
       this.__previousUpdateTimestamp = this.__updateTimestamp;
     }
 
+    connectedCallback() {
+      this.__connectSignals();
+
+      connectingContext = this.__componentContext;
+
+      this.own(() => super.connectedCallback?.());
+    }
+
     render() {
       this.__triggerSignals();
 
-      return super.render?.();
+      try {
+        return super.render?.();
+      } catch (e) {
+        this.__effectInstance._endRender();
+
+        throw e;
+      }
     }
 
     renderedCallback() {
-      effectsStack.pop();
+      this.__effectInstance._endRender();
 
       super.renderedCallback?.();
     }
 
     disconnectedCallback() {
-      this.__effectInstance?._dispose();
-      componentContextsStack.pop();
-
-      for (const effectInstance of this.__componentContext._effectsStack) {
-        try {
-          effectInstance._dispose();
-        } catch (e) {
-          console.error(e);
-        }
+      if (connectingContext === this.__componentContext) {
+        connectingContext = null;
       }
 
+      this.__effectInstance._endRender();
+      this.__effectInstance._suspend();
+      this.__componentContext._disconnect();
+
       super.disconnectedCallback?.();
     }
   };
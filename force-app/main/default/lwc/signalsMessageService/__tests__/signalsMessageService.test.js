@@ -0,0 +1,198 @@
+import { signal, computed, effect, WithSignals } from "c/signals";
+import { messageChannelSignal, publishFrom } from "c/signalsMessageService";
+import {
+  APPLICATION_SCOPE,
+  createMessageContext,
+  publish,
+  releaseMessageContext,
+  subscribe,
+  unsubscribe,
+} from "lightning/messageService";
+import RECORD_SELECTED from "@salesforce/messageChannel/Record_Selected__c";
+
+describe("Lightning Message Service", () => {
+  class MockLightningComponent {
+    connectedCallback() {}
+    disconnectedCallback() {}
+    renderedCallback() {}
+    render() {}
+  }
+
+  let handlers;
+
+  beforeEach(() => {
+    handlers = new Map();
+
+    subscribe.mockImplementation((context, channel, handler, options) => {
+      const subscription = { channel, options };
+      handlers.set(subscription, handler);
+      return subscription;
+    });
+    unsubscribe.mockImplementation((subscription) => {
+      handlers.delete(subscription);
+    });
+    publish.mockImplementation((context, channel, message) => {
+      for (const [subscription, handler] of handlers) {
+        if (subscription.channel === channel) {
+          handler(message);
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    subscribe.mockReset();
+    unsubscribe.mockReset();
+    publish.mockReset();
+  });
+
+  test("should subscribe on first use", () => {
+    const selected = messageChannelSignal(RECORD_SELECTED);
+
+    expect(subscribe).not.toHaveBeenCalled();
+
+    expect(selected.value).toBeUndefined();
+    expect(subscribe).toHaveBeenCalledTimes(1);
+    expect(subscribe.mock.calls[0][1]).toBe(RECORD_SELECTED);
+
+    selected.value;
+    expect(subscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test("should expose the latest message payload", () => {
+    const selected = messageChannelSignal(RECORD_SELECTED);
+    const spy = jest.fn();
+
+    effect(() => {
+      spy(selected.value);
+    });
+
+    publish(null, RECORD_SELECTED, { recordId: "001" });
+
+    expect(spy).toHaveBeenLastCalledWith({ recordId: "001" });
+  });
+
+  test("should select part of the payload", () => {
+    const recordId = messageChannelSignal(RECORD_SELECTED, {
+      select: (message) => message.recordId,
+    });
+    const label = computed(() => `Record ${recordId.value}`);
+
+    label.value;
+    publish(null, RECORD_SELECTED, { recordId: "001" });
+
+    expect(label.value).toBe("Record 001");
+  });
+
+  test("should pass the subscription scope", () => {
+    const selected = messageChannelSignal(RECORD_SELECTED, {
+      scope: APPLICATION_SCOPE,
+    });
+
+    selected.value;
+
+    expect(subscribe.mock.calls[0][3]).toEqual({ scope: APPLICATION_SCOPE });
+  });
+
+  test("should unsubscribe and release its context once disposed", () => {
+    const selected = messageChannelSignal(RECORD_SELECTED);
+
+    selected.value;
+    selected.dispose();
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(releaseMessageContext).toHaveBeenCalledTimes(1);
+  });
+
+  test("should unsubscribe when the owning component disconnects", () => {
+    class Listener extends WithSignals(MockLightningComponent) {
+      selected = this.own(() => messageChannelSignal(RECORD_SELECTED));
+    }
+
+    const component = new Listener();
+    component.connectedCallback();
+    component.render();
+    component.selected.value;
+    component.renderedCallback();
+
+    expect(subscribe).toHaveBeenCalledTimes(1);
+
+    component.disconnectedCallback();
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(handlers.size).toBe(0);
+
+    component.connectedCallback();
+
+    expect(subscribe).toHaveBeenCalledTimes(2);
+    expect(handlers.size).toBe(1);
+  });
+
+  test("should publish signal changes", () => {
+    const recordId = signal("001");
+
+    publishFrom(recordId, RECORD_SELECTED);
+
+    expect(publish).not.toHaveBeenCalled();
+
+    recordId.value = "002";
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish.mock.calls[0][1]).toBe(RECORD_SELECTED);
+    expect(publish.mock.calls[0][2]).toBe("002");
+  });
+
+  test("should publish deep mutations", () => {
+    const selection = signal({ ids: [] });
+
+    publishFrom(selection, RECORD_SELECTED);
+
+    selection.value.ids.push("001");
+
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish.mock.calls[0][2]).toEqual({ ids: ["001"] });
+  });
+
+  test("should release its context when the owning component disconnects", () => {
+    const selection = signal("001");
+
+    class Publisher extends WithSignals(MockLightningComponent) {
+      connectedCallback() {
+        super.connectedCallback();
+
+        this.own(() => publishFrom(selection, RECORD_SELECTED));
+      }
+    }
+
+    const component = new Publisher();
+
+    for (let i = 0; i < 3; i++) {
+      component.connectedCallback();
+      component.disconnectedCallback();
+    }
+
+    selection.value = "002";
+
+    expect(createMessageContext).toHaveBeenCalledTimes(3);
+    expect(releaseMessageContext).toHaveBeenCalledTimes(3);
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test("should connect publishers and message signals", () => {
+    const source = signal({ recordId: null });
+    const target = messageChannelSignal(RECORD_SELECTED, {
+      select: (message) => message.recordId,
+    });
+
+    target.value;
+    const stop = publishFrom(source, RECORD_SELECTED);
+
+    source.value = { recordId: "001" };
+    expect(target.value).toBe("001");
+
+    stop();
+    source.value = { recordId: "002" };
+    expect(target.value).toBe("001");
+  });
+});
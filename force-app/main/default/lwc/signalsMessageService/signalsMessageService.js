@@ -0,0 +1,118 @@
+import {
+  createMessageContext,
+  releaseMessageContext,
+  publish,
+  subscribe,
+  unsubscribe,
+} from "lightning/messageService";
+import { signal, effect, effectScope, toRaw } from "c/signals";
+
+// Exposes the latest message published on a channel. The subscription is taken
+// on first read by an effect of its own scope, so it follows the owning scope
+// or component: released when it is disconnected and taken again on reconnect.
+class MessageChannelSignal {
+  _channel;
+  _scope;
+  _select;
+  _messageContext;
+  _payload;
+  _effectScope;
+  _started;
+
+  constructor(channel, options) {
+    this._channel = channel;
+    this._scope = options?.scope;
+    this._select = options?.select;
+    this._messageContext = options?.messageContext;
+    this._payload = signal(options?.initialValue);
+    this._effectScope = effectScope();
+    this._started = false;
+  }
+
+  get value() {
+    this._start();
+
+    return this._payload.value;
+  }
+
+  peek() {
+    return this._payload.peek();
+  }
+
+  subscribe(onUpdate) {
+    this._start();
+
+    return this._payload.subscribe(onUpdate);
+  }
+
+  dispose() {
+    this._effectScope.stop();
+  }
+
+  _start() {
+    if (this._started) {
+      return;
+    }
+
+    this._started = true;
+    this._effectScope.run(() =>
+      effect(() => this._subscribe(), {
+        name: "messageChannelSignal",
+        scheduler: "sync",
+      }),
+    );
+  }
+
+  _subscribe() {
+    const ownsContext = this._messageContext == null;
+    const messageContext = ownsContext
+      ? createMessageContext()
+      : this._messageContext;
+    const subscription = subscribe(
+      messageContext,
+      this._channel,
+      (message) => {
+        this._payload.value =
+          this._select != null ? this._select(message) : message;
+      },
+      this._scope != null ? { scope: this._scope } : undefined,
+    );
+
+    return () => {
+      unsubscribe(subscription);
+
+      if (ownsContext) {
+        releaseMessageContext(messageContext);
+      }
+    };
+  }
+}
+
+export function messageChannelSignal(channel, options) {
+  return new MessageChannelSignal(channel, options);
+}
+
+// The message context lives as long as the effect runs, so it is released when
+// the owning scope or component stops it, not only by the returned function.
+export function publishFrom(signalInstance, channel, options) {
+  return effect(
+    () => {
+      const ownsContext = options?.messageContext == null;
+      const messageContext = ownsContext
+        ? createMessageContext()
+        : options.messageContext;
+      const unsubscribeFromSignal = signalInstance.subscribe(() =>
+        publish(messageContext, channel, toRaw(signalInstance.peek())),
+      );
+
+      return () => {
+        unsubscribeFromSignal();
+
+        if (ownsContext) {
+          releaseMessageContext(messageContext);
+        }
+      };
+    },
+    { name: "publishFrom", scheduler: "sync" },
+  );
+}
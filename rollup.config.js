@@ -1,10 +1,11 @@
 import terser from '@rollup/plugin-terser';
 import copy from 'rollup-plugin-copy';
 
-export default {
-  input: 'force-app/main/default/lwc/signals/signals.js',
+const lwcModule = (name, external = []) => ({
+  input: `force-app/main/default/lwc/${name}/${name}.js`,
+  external,
   output: {
-    file: 'dist/signals/signals.js',
+    file: `dist/${name}/${name}.js`,
     format: 'es',
     sourcemap: false,
   },
@@ -12,8 +13,13 @@ export default {
     terser(),
     copy({
       targets: [
-        { src: 'force-app/main/default/lwc/signals/signals.js-meta.xml', dest: 'dist/signals' }
+        { src: `force-app/main/default/lwc/${name}/${name}.js-meta.xml`, dest: `dist/${name}` }
       ]
     })
   ]
-};
+});
+
+export default [
+  lwcModule('signals'),
+  lwcModule('signalsMessageService', ['c/signals', 'lightning/messageService']),
+];